@@ -0,0 +1,143 @@
+import { access, cp, mkdir, readFile, rm, rmdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Location of the backup inside the package directory.
+ * `node_modules` is never published and never touched by cleanup, so the backup survives pruning and packing.
+ */
+export const backupDir = path.join('node_modules', '.cache', 'pkgprn-backup');
+
+const manifestFileName = 'backup.json';
+const filesDirName = 'files';
+
+/**
+ * @typedef {Object} Backup
+ * @property {string} cwd - package directory
+ * @property {string[]} saved - paths (files or directories) whose original content is stored in the backup
+ * @property {string[]} created - paths that did not exist before pruning
+ * @property {string} [createdRoot] - outermost parent directory of the backup (e.g. `node_modules`) created for it
+ */
+
+/**
+ * Starts a new backup. Fails if a backup from a previous run was not restored yet,
+ * because overwriting it would lose the original state of the package.
+ * @param {string} cwd - package directory
+ * @returns {Promise<Backup>}
+ */
+export async function createBackup(cwd) {
+    if (await hasBackup(cwd)) {
+        throw new Error('a backup from a previous run exists, run `pkgprn restore` first');
+    }
+    // leftovers without a manifest come from an interrupted run and cannot be restored anyway
+    await rm(path.resolve(cwd, backupDir), { recursive: true, force: true });
+    const firstCreated = await mkdir(path.resolve(cwd, backupDir, filesDirName), { recursive: true });
+    const createdRoot = firstCreated && path.relative(cwd, firstCreated);
+    return { cwd, saved: [], created: [], createdRoot: createdRoot && !isCoveredBy([backupDir], createdRoot) ? createdRoot : undefined };
+}
+
+/**
+ * Stores the original content of a file or directory before it is modified, moved or removed.
+ * Paths that were created by pkgprn or are already stored are skipped.
+ * @param {Backup} backup
+ * @param {string} file - path relative to the package directory
+ */
+export async function backupPath(backup, file) {
+    const normalized = path.normalize(file);
+    if (isCoveredBy(backup.created, normalized) || isCoveredBy(backup.saved, normalized)) {
+        return;
+    }
+    await cp(path.resolve(backup.cwd, normalized), path.resolve(backup.cwd, backupDir, filesDirName, normalized), {
+        recursive: true,
+        preserveTimestamps: true,
+        filter: source => !isCoveredBy(backup.created, path.relative(backup.cwd, source)),
+    });
+    backup.saved.push(normalized);
+}
+
+/**
+ * Records a path that pkgprn created so that restore can remove it.
+ * @param {Backup} backup
+ * @param {string} file - path relative to the package directory
+ */
+export function markCreated(backup, file) {
+    const normalized = path.normalize(file);
+    if (!isCoveredBy(backup.created, normalized)) {
+        backup.created.push(normalized);
+    }
+}
+
+/**
+ * Writes the backup manifest.
+ * @param {Backup} backup
+ */
+export async function saveBackup(backup) {
+    const manifest = { created: backup.created, createdRoot: backup.createdRoot };
+    await writeFile(path.resolve(backup.cwd, backupDir, manifestFileName), `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+/**
+ * Puts the package directory back into the state it had before pruning and removes the backup.
+ * @param {string} cwd - package directory
+ * @param {import('@niceties/logger').Logger} logger
+ */
+export async function restoreBackup(cwd, logger) {
+    if (!(await hasBackup(cwd))) {
+        throw new Error('no backup found');
+    }
+
+    logger.update('restoring backup...');
+
+    const manifest = JSON.parse(await readFile(path.resolve(cwd, backupDir, manifestFileName), 'utf8'));
+
+    // remove created paths first: an original file may live where a moved file was created
+    for (const file of [...manifest.created].reverse()) {
+        await rm(path.resolve(cwd, file), { recursive: true, force: true });
+    }
+
+    await cp(path.resolve(cwd, backupDir, filesDirName), cwd, { recursive: true, preserveTimestamps: true });
+
+    await rm(path.resolve(cwd, backupDir), { recursive: true, force: true });
+
+    if (typeof manifest.createdRoot === 'string') {
+        await removeEmptyParents(cwd, manifest.createdRoot);
+    }
+}
+
+/**
+ * Removes the parent directories of the backup up to and including `root` as long as they are empty.
+ * @param {string} cwd - package directory
+ * @param {string} root - path relative to the package directory
+ */
+async function removeEmptyParents(cwd, root) {
+    for (let dir = path.dirname(backupDir); isCoveredBy([root], dir); dir = path.dirname(dir)) {
+        try {
+            await rmdir(path.resolve(cwd, dir));
+        } catch {
+            // something else was put there in the meantime
+            return;
+        }
+    }
+}
+
+/**
+ * @param {string} cwd - package directory
+ * @returns {Promise<boolean>}
+ */
+async function hasBackup(cwd) {
+    try {
+        await access(path.resolve(cwd, backupDir, manifestFileName));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Checks whether a path equals or is inside one of the given paths.
+ * @param {string[]} paths
+ * @param {string} file
+ * @returns {boolean}
+ */
+function isCoveredBy(paths, file) {
+    return paths.some(entry => file === entry || file.startsWith(`${entry}${path.sep}`));
+}
@@ -0,0 +1,84 @@
+/**
+ * @typedef {Object} DroppedCondition
+ * @property {string[]} path - key path of the condition, starting with the field name
+ * @property {unknown} target - removed value
+ */
+
+/**
+ * Removes conditions at every nesting level of an `exports` or `imports` value. Subpath keys (starting with `.` or `#`)
+ * are never treated as conditions. Objects and arrays left empty by the removal are removed as well, and objects left
+ * with only a `default` condition are replaced with its target.
+ * @param {unknown} value - `exports` or `imports` value
+ * @param {Set<string>} conditions - conditions to remove
+ * @param {string[]} keyPath - key path of the value
+ * @returns {{ value: unknown, dropped: DroppedCondition[] }} the filtered value (the original one when nothing was removed)
+ */
+export function dropConditions(value, conditions, keyPath) {
+    /** @type {DroppedCondition[]} */
+    const dropped = [];
+    const filtered = filterTarget(value, conditions, keyPath, dropped);
+    if (filtered !== undefined) {
+        return { value: filtered, dropped };
+    }
+    // everything was removed, keep an empty container so that nothing becomes exported by accident
+    return { value: Array.isArray(value) ? [] : {}, dropped };
+}
+
+/**
+ * @param {unknown} value
+ * @param {Set<string>} conditions
+ * @param {string[]} keyPath
+ * @param {DroppedCondition[]} dropped - collects the removed conditions
+ * @returns {unknown} undefined when the removal left nothing
+ */
+function filterTarget(value, conditions, keyPath, dropped) {
+    const droppedBefore = dropped.length;
+
+    if (Array.isArray(value)) {
+        const items = value
+            .map((item, index) => filterTarget(item, conditions, [...keyPath, String(index)], dropped))
+            .filter(item => item !== undefined);
+        if (dropped.length === droppedBefore) {
+            return value;
+        }
+        return items.length ? items : undefined;
+    }
+
+    if (typeof value !== 'object' || value === null) {
+        return value;
+    }
+
+    /** @type {Record<string, unknown>} */
+    const result = {};
+    for (const [key, target] of Object.entries(value)) {
+        if (!isSubpath(key) && conditions.has(key)) {
+            dropped.push({ path: [...keyPath, key], target });
+            continue;
+        }
+        const filtered = filterTarget(target, conditions, [...keyPath, key], dropped);
+        if (filtered !== undefined) {
+            result[key] = filtered;
+        }
+    }
+
+    if (dropped.length === droppedBefore) {
+        return value;
+    }
+
+    const keys = Object.keys(result);
+    if (keys.length === 0) {
+        return undefined;
+    }
+    if (keys.length === 1 && keys[0] === 'default') {
+        return result.default;
+    }
+    return result;
+}
+
+/**
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isSubpath(key) {
+    return key.startsWith('.') || key.startsWith('#');
+}
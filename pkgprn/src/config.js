@@ -0,0 +1,213 @@
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { parseSize } from './size.js';
+
+/**
+ * Key in package.json that holds the configuration.
+ */
+export const configKey = 'pkgprn';
+
+/**
+ * Configuration files looked up in the package directory.
+ */
+const configFileNames = ['pkgprn.config.js', 'pkgprn.config.mjs', 'pkgprn.config.json'];
+
+/**
+ * @typedef {'string' | 'boolean' | 'string[]' | 'boolean|string[]' | 'size' | 'sizes' | 'profiles'} OptionType
+ */
+
+/**
+ * Expected type of every supported option, mirrors `PruneOptions`.
+ * @type {Record<string, OptionType>}
+ */
+const optionTypes = {
+    profile: 'string',
+    profiles: 'profiles',
+    flatten: 'boolean|string[]',
+    removeSourcemaps: 'boolean',
+    stripComments: 'boolean|string[]',
+    removeTests: 'boolean|string[]',
+    removeFields: 'string[]',
+    keepFields: 'string[]',
+    dropConditions: 'string[]',
+    keep: 'string[]',
+    maxSize: 'size',
+    maxFileSize: 'size',
+    sizeBudgets: 'sizes',
+    sizeSummary: 'boolean',
+    optimizeFiles: 'boolean',
+    cleanupFiles: 'boolean',
+    validateReferences: 'boolean',
+    dryRun: 'boolean',
+    backup: 'boolean',
+    outDir: 'string',
+    overwriteOutDir: 'boolean',
+};
+
+/**
+ * Loads the configuration from the `pkgprn` key in package.json or from a `pkgprn.config.{js,mjs,json}` file.
+ * Only one source is allowed.
+ * @param {string} dir - package directory
+ * @param {Record<string, unknown>} pkg
+ * @returns {Promise<Partial<import('./prune.js').PruneOptions>>}
+ */
+export async function loadConfig(dir, pkg) {
+    /** @type {Array<{ source: string, config: unknown }>} */
+    const found = [];
+
+    if (pkg[configKey] !== undefined) {
+        found.push({ source: `"${configKey}" key in package.json`, config: pkg[configKey] });
+    }
+
+    for (const fileName of configFileNames) {
+        const config = await readConfigFile(path.resolve(dir, fileName));
+        if (config !== undefined) {
+            found.push({ source: fileName, config });
+        }
+    }
+
+    if (found.length > 1) {
+        throw new Error(`multiple configurations found: ${found.map(entry => entry.source).join(', ')}`);
+    }
+
+    if (found.length === 0) {
+        return {};
+    }
+
+    return validateConfig(found[0].config, found[0].source);
+}
+
+/**
+ * Checks that the configuration has the shape of `PruneOptions`.
+ * @param {unknown} config
+ * @param {string} source - where the configuration comes from (used in error messages)
+ * @returns {Partial<import('./prune.js').PruneOptions>}
+ */
+export function validateConfig(config, source) {
+    if (!isObject(config)) {
+        throw new Error(`invalid config in ${source}: expected an object`);
+    }
+
+    for (const [key, value] of Object.entries(config)) {
+        const expected = optionTypes[key];
+        if (!expected) {
+            throw new Error(`invalid config in ${source}: unknown option "${key}"`);
+        }
+        if (!isOfType(value, expected)) {
+            throw new Error(`invalid config in ${source}: "${key}" must be ${typeDescriptions[expected]}`);
+        }
+    }
+
+    return /** @type {Partial<import('./prune.js').PruneOptions>} */ (config);
+}
+
+/**
+ * @type {Record<OptionType, string>}
+ */
+const typeDescriptions = {
+    string: 'a string',
+    boolean: 'a boolean',
+    'boolean|string[]': 'a boolean or an array of strings',
+    'string[]': 'an array of strings',
+    size: 'a number of bytes or a size like "200kb"',
+    sizes: 'an object of glob patterns and sizes',
+    profiles: 'an object of profiles with optional "extends" (string), "keep" and "remove" (arrays of strings)',
+};
+
+/**
+ * @param {unknown} value
+ * @param {OptionType} type
+ * @returns {boolean}
+ */
+function isOfType(value, type) {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string';
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'string[]':
+            return isStringArray(value);
+        case 'size':
+            return isSize(value);
+        case 'sizes':
+            return isObject(value) && Object.values(value).every(isSize);
+        case 'profiles':
+            return isObject(value) && Object.values(value).every(isProfile);
+        default:
+            return typeof value === 'boolean' || isStringArray(value);
+    }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is string[]}
+ */
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isSize(value) {
+    if (typeof value !== 'number' && typeof value !== 'string') {
+        return false;
+    }
+    try {
+        parseSize(value);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isProfile(value) {
+    return (
+        isObject(value) &&
+        Object.entries(value).every(([key, item]) =>
+            key === 'extends' ? typeof item === 'string' : (key === 'keep' || key === 'remove') && isStringArray(item)
+        )
+    );
+}
+
+/**
+ * @param {string} fileName - absolute path to the config file
+ * @returns {Promise<unknown>} undefined when the file does not exist
+ */
+async function readConfigFile(fileName) {
+    let content;
+    try {
+        content = await readFile(fileName, 'utf8');
+    } catch (e) {
+        if (typeof e === 'object' && e != null && 'code' in e && e.code === 'ENOENT') {
+            return undefined;
+        }
+        throw e;
+    }
+
+    if (fileName.endsWith('.json')) {
+        try {
+            return JSON.parse(content);
+        } catch (e) {
+            throw new Error(`could not parse ${path.basename(fileName)}: ${e instanceof Error ? e.message : String(e)}`);
+        }
+    }
+
+    const module = await import(pathToFileURL(fileName).href);
+    return module.default;
+}
@@ -1,9 +1,22 @@
+/**
+ * Entry points for bundlers, CDNs and other tools that are published next to `main`.
+ */
+const alternativeEntryFields = ['jsdelivr', 'style', 'sass', 'es2015', 'esnext', 'svelte'];
+
+/**
+ * Fields that are either an entry point or a map replacing files and modules (`false` blocks them).
+ */
+const replacementMapFields = ['browser', 'react-native'];
+
 /**
  * Extracts all file path references from a package.json object.
  *
  * Replaces the jsonata expression:
  *   [bin, bin.*, main, module, unpkg, umd, types, typings, exports[].*.*, typesVersions.*.*, directories.bin]
  *
+ * except that all targets of `exports` are collected, not only the ones exactly 2 levels deep, and that the relative
+ * targets of `imports` and the alternative entry points (see `extractAlternativeEntries`) are collected as well.
+ *
  * @param {Record<string, unknown>} pkg
  * @returns {unknown[]}
  */
@@ -31,25 +44,20 @@ export function extractReferences(pkg) {
         }
     }
 
-    // exports[].*.* — navigate exactly 2 levels deep into the exports object.
-    // Level 1: values of the exports object (e.g. exports["."], exports["./second"])
-    // Level 2: values of each level-1 value (if it's an object)
-    // String values at level 1 are skipped (jsonata wildcard on string yields nothing).
-    // Array values at level 2 are flattened.
-    if (typeof pkg.exports === 'object' && pkg.exports !== null && !Array.isArray(pkg.exports)) {
-        for (const level1 of Object.values(pkg.exports)) {
-            if (typeof level1 === 'object' && level1 !== null && !Array.isArray(level1)) {
-                for (const level2 of Object.values(/** @type {Record<string, unknown>} */ (level1))) {
-                    if (Array.isArray(level2)) {
-                        for (const item of level2) {
-                            result.push(item);
-                        }
-                    } else {
-                        result.push(level2);
-                    }
-                }
-            }
-        }
+    result.push(...extractAlternativeEntries(pkg));
+
+    // exports — every string target at any depth: subpaths, nested conditions and fallback arrays.
+    // null targets block subpaths and reference nothing.
+    if (pkg.exports !== undefined) {
+        collectTargets(pkg.exports, result);
+    }
+
+    // imports — the same structure as exports, but targets can also be package names, only relative targets are files
+    if (pkg.imports !== undefined) {
+        /** @type {unknown[]} */
+        const targets = [];
+        collectTargets(pkg.imports, targets);
+        result.push(...targets.filter(target => typeof target === 'string' && target.startsWith('./')));
     }
 
     // typesVersions.*.* — 2 levels of wildcard, arrays are flattened
@@ -79,3 +87,67 @@ export function extractReferences(pkg) {
 
     return result;
 }
+
+/**
+ * Extracts the entry points used by bundlers and CDNs: `jsdelivr`, `style`, `sass`, `es2015`, `esnext`, `svelte`,
+ * and `browser` / `react-native` as a string or as the relative keys and values of a replacement map.
+ * @param {Record<string, unknown>} pkg
+ * @returns {string[]}
+ */
+export function extractAlternativeEntries(pkg) {
+    /** @type {string[]} */
+    const result = [];
+
+    for (const field of alternativeEntryFields) {
+        if (typeof pkg[field] === 'string') {
+            result.push(pkg[field]);
+        }
+    }
+
+    for (const field of replacementMapFields) {
+        const value = pkg[field];
+        if (typeof value === 'string') {
+            result.push(value);
+        } else if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+            // keys and values can also be module names, only relative paths are files
+            for (const [key, replacement] of Object.entries(value)) {
+                if (isRelativePath(key)) {
+                    result.push(key);
+                }
+                if (typeof replacement === 'string' && isRelativePath(replacement)) {
+                    result.push(replacement);
+                }
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isRelativePath(value) {
+    return value.startsWith('./') || value.startsWith('../');
+}
+
+/**
+ * Collects the string targets of an `exports` or `imports` value: a target, a fallback array, or a map of subpaths
+ * or conditions.
+ * @param {unknown} value
+ * @param {unknown[]} result
+ */
+function collectTargets(value, result) {
+    if (typeof value === 'string') {
+        result.push(value);
+    } else if (Array.isArray(value)) {
+        for (const item of value) {
+            collectTargets(item, result);
+        }
+    } else if (typeof value === 'object' && value !== null) {
+        for (const target of Object.values(value)) {
+            collectTargets(target, result);
+        }
+    }
+}
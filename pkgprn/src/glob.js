@@ -0,0 +1,97 @@
+/**
+ * Converts a glob pattern to a regular expression matching the whole string.
+ *
+ * Supported syntax: `*` (anything except `/`), `**` (anything, including `/`), `?` (one character except `/`),
+ * `[abc]` / `[!abc]` character classes and `{a,b}` alternatives.
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+    let source = '';
+    let braceDepth = 0;
+
+    for (let i = 0; i < pattern.length; ++i) {
+        const char = pattern[i];
+        switch (char) {
+            case '*':
+                if (pattern[i + 1] === '*') {
+                    // `**/` also matches zero directories
+                    if (pattern[i + 2] === '/') {
+                        source += '(?:.*/)?';
+                        i += 2;
+                    } else {
+                        source += '.*';
+                        i += 1;
+                    }
+                } else {
+                    source += '[^/]*';
+                }
+                break;
+            case '?':
+                source += '[^/]';
+                break;
+            case '[': {
+                const end = pattern.indexOf(']', i + 2);
+                if (end === -1) {
+                    source += '\\[';
+                    break;
+                }
+                let body = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+                if (body.startsWith('!')) {
+                    body = `^${body.slice(1)}`;
+                }
+                source += `[${body}]`;
+                i = end;
+                break;
+            }
+            case '{':
+                braceDepth++;
+                source += '(?:';
+                break;
+            case '}':
+                if (braceDepth > 0) {
+                    braceDepth--;
+                    source += ')';
+                } else {
+                    source += '\\}';
+                }
+                break;
+            case ',':
+                source += braceDepth > 0 ? '|' : ',';
+                break;
+            default:
+                source += char.replace(/[.+^$()|\\]/g, '\\$&');
+        }
+    }
+
+    if (braceDepth > 0) {
+        throw new Error(`invalid glob pattern ${pattern}: unclosed {`);
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Creates a function that checks whether a string matches any of the glob patterns.
+ * @param {string[]} patterns
+ * @returns {(value: string) => boolean}
+ */
+export function createMatcher(patterns) {
+    const regExps = patterns.map(globToRegExp);
+    return value => regExps.some(regExp => regExp.test(value));
+}
+
+/**
+ * Converts a subpath pattern of `exports`, `imports` or `typesVersions` (e.g. `dist/features/*.js`) to a regular
+ * expression matching the whole string. Unlike in globs, `*` matches any non-empty string, including `/`.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function subpathPatternToRegExp(pattern) {
+    const source = pattern
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.+');
+    return new RegExp(`^${source}$`);
+}
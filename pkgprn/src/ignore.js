@@ -0,0 +1,79 @@
+import { globToRegExp } from './glob.js';
+
+/**
+ * Ignore files in the order npm looks for them, only the first one found in a directory is used.
+ */
+export const ignoreFileNames = ['.npmignore', '.gitignore'];
+
+/**
+ * @typedef {Object} IgnoreRule
+ * @property {string} base - directory of the ignore file relative to the package directory, `.` for the root
+ * @property {RegExp} regExp
+ * @property {boolean} negated - `!pattern`, includes matching files again
+ * @property {boolean} directoryOnly - `pattern/`, matches only directories
+ * @property {boolean} anchored - the pattern contains `/` and is matched against the path relative to `base`,
+ * otherwise it is matched against the name
+ */
+
+/**
+ * Parses an ignore file with `.gitignore` syntax: comments, blank lines, `!` negation, trailing `/` for directories
+ * and leading or inner `/` for patterns relative to the ignore file.
+ * @param {string} text
+ * @param {string} base - directory of the ignore file relative to the package directory, `.` for the root
+ * @returns {IgnoreRule[]}
+ */
+export function parseIgnoreFile(text, base) {
+    /** @type {IgnoreRule[]} */
+    const rules = [];
+    for (const line of text.split(/\r?\n/)) {
+        let pattern = line.replace(/(?<!\\)\s+$/, '');
+        if (!pattern || pattern.startsWith('#')) {
+            continue;
+        }
+
+        const negated = pattern.startsWith('!');
+        if (negated) {
+            pattern = pattern.slice(1);
+        }
+        // `\#` and `\!` escape the special meaning of the first character
+        if (pattern.startsWith('\\#') || pattern.startsWith('\\!')) {
+            pattern = pattern.slice(1);
+        }
+
+        const directoryOnly = pattern.endsWith('/');
+        pattern = pattern.replace(/\/+$/, '');
+        const anchored = pattern.includes('/');
+        pattern = pattern.replace(/^\//, '');
+        if (!pattern) {
+            continue;
+        }
+
+        rules.push({ base, regExp: globToRegExp(pattern), negated, directoryOnly, anchored });
+    }
+    return rules;
+}
+
+/**
+ * Checks a file against the rules of all ignore files that apply to it, the last matching rule wins.
+ * @param {IgnoreRule[]} rules - rules of the ignore files from the package directory down to the file's directory
+ * @param {string} file - path relative to the package directory, with `/` separators
+ * @param {boolean} isDirectory
+ * @returns {boolean}
+ */
+export function isIgnored(rules, file, isDirectory) {
+    let ignored = false;
+    for (const rule of rules) {
+        if (rule.directoryOnly && !isDirectory) {
+            continue;
+        }
+        const relative = rule.base === '.' ? file : file.startsWith(`${rule.base}/`) ? file.slice(rule.base.length + 1) : undefined;
+        if (relative === undefined) {
+            continue;
+        }
+        const subject = rule.anchored ? relative : relative.slice(relative.lastIndexOf('/') + 1);
+        if (rule.regExp.test(subject)) {
+            ignored = !rule.negated;
+        }
+    }
+    return ignored;
+}
@@ -10,7 +10,34 @@ import { help } from '@niceties/node-parseargs-plus/help';
 import { optionalValue } from '@niceties/node-parseargs-plus/optional-value';
 import { readPackageJson } from '@niceties/node-parseargs-plus/package-info';
 
-import { prunePkg } from './prune.js';
+import { restoreBackup } from './backup.js';
+import { loadConfig } from './config.js';
+import { getTarballName, pack } from './pack.js';
+import { parsePackage, stringifyPackage } from './package-json.js';
+import { listPublishedFiles, prunePkg } from './prune.js';
+import { formatSize } from './size.js';
+
+/**
+ * Defaults for options that are neither passed on the command line nor set in the config.
+ * @type {import('./prune.js').PruneOptions}
+ */
+const defaultOptions = {
+    profile: 'library',
+    flatten: false,
+    removeSourcemaps: false,
+    stripComments: false,
+    removeTests: false,
+    optimizeFiles: true,
+    cleanupFiles: true,
+    validateReferences: true,
+    dryRun: false,
+    backup: false,
+};
+
+/**
+ * Subcommands, any other positional argument is the package directory.
+ */
+const commands = ['restore', 'pack'];
 
 /**
  * Parse a multi-value string option: split by commas, trim, and filter empty strings.
@@ -19,11 +46,37 @@ import { prunePkg } from './prune.js';
  * @returns {true | string[]}
  */
 function parseMultiString(values) {
-    const items = values
+    const items = parseList(values);
+    return items.length ? items : true;
+}
+
+/**
+ * Parse a list option: split by commas, trim, and filter empty strings.
+ * @param {string[]} values
+ * @returns {string[]}
+ */
+function parseList(values) {
+    return values
         .flatMap(v => v.split(','))
         .map(s => s.trim())
         .filter(Boolean);
-    return items.length ? items : true;
+}
+
+/**
+ * Parse size budgets given as `<glob>=<size>`, globs can contain commas so values are not split.
+ * @param {string[]} values
+ * @returns {Record<string, string>}
+ */
+function parseSizeBudgets(values) {
+    return Object.fromEntries(
+        values.map(value => {
+            const index = value.lastIndexOf('=');
+            if (index <= 0) {
+                throw new Error(`invalid size budget ${value}, expected <glob>=<size>`);
+            }
+            return [value.slice(0, index).trim(), value.slice(index + 1).trim()];
+        })
+    );
 }
 
 const logger = createLogger();
@@ -34,15 +87,19 @@ try {
 
     logger.update('');
 
-    const { values } = parseArgsPlus(
+    const { values, positionals } = parseArgsPlus(
         {
             ...myPkgData,
             allowNegative: true,
+            allowPositionals: true,
             options: {
+                cwd: {
+                    type: 'string',
+                    description: 'package directory (can also be passed as an argument)',
+                },
                 profile: {
                     type: 'string',
                     description: 'profile to use',
-                    default: 'library',
                 },
                 flatten: {
                     type: /** @type {(values: string[]) => true | string[]} */ (parseMultiString),
@@ -53,7 +110,6 @@ try {
                 removeSourcemaps: {
                     type: 'boolean',
                     description: 'remove sourcemaps',
-                    default: false,
                 },
                 stripComments: {
                     type: /** @type {(values: string[]) => true | string[]} */ (parseMultiString),
@@ -61,57 +117,200 @@ try {
                     optionalValue: true,
                     description: 'strip comments (omit value for defaults, or specify types: jsdoc, license, regular, annotation)',
                 },
+                removeTests: {
+                    type: /** @type {(values: string[]) => true | string[]} */ (parseMultiString),
+                    multiple: true,
+                    optionalValue: true,
+                    description: 'remove test, story and fixture files (omit value for the built-in patterns, or specify patterns)',
+                },
+                removeFields: {
+                    type: /** @type {(values: string[]) => string[]} */ (parseList),
+                    multiple: true,
+                    description: 'remove additional top-level package.json fields (comma-separated or repeated)',
+                },
+                keepFields: {
+                    type: /** @type {(values: string[]) => string[]} */ (parseList),
+                    multiple: true,
+                    description: 'keep fields from the built-in list of dev-only fields (comma-separated or repeated)',
+                },
+                dropConditions: {
+                    type: /** @type {(values: string[]) => string[]} */ (parseList),
+                    multiple: true,
+                    description: 'remove conditions from exports and imports (comma-separated or repeated)',
+                },
+                keep: {
+                    type: 'string',
+                    multiple: true,
+                    description: 'glob pattern of files that are never deleted or moved (repeat for more patterns)',
+                },
+                maxSize: {
+                    type: 'string',
+                    description: 'fail when the unpacked size of the published files is larger (bytes, or with a kb or mb unit)',
+                },
+                maxFileSize: {
+                    type: 'string',
+                    description: 'fail when a published file is larger (bytes, or with a kb or mb unit)',
+                },
+                sizeBudgets: {
+                    type: /** @type {(values: string[]) => Record<string, string>} */ (parseSizeBudgets),
+                    multiple: true,
+                    description: 'maximum size of every published file matching a glob, as <glob>=<size> (repeatable)',
+                },
+                sizeSummary: {
+                    type: 'boolean',
+                    description: 'log the size with gzip and brotli estimates after every step and the largest savings',
+                },
                 optimizeFiles: {
                     type: 'boolean',
                     description: 'optimize files array',
-                    default: true,
                 },
                 cleanupFiles: {
                     type: 'boolean',
                     description: 'cleanup files not included in files array',
-                    default: true,
+                },
+                validateReferences: {
+                    type: 'boolean',
+                    description: 'fail when a path referenced by package.json is missing after pruning',
+                },
+                dryRun: {
+                    type: 'boolean',
+                    description: 'report planned changes without writing anything',
+                },
+                backup: {
+                    type: 'boolean',
+                    description: 'save changed files so that `pkgprn restore` can undo pruning (e.g. in postpack)',
+                },
+                outDir: {
+                    type: 'string',
+                    description: 'copy the files to publish to the directory and prune there, leaving the package untouched',
+                },
+                overwriteOutDir: {
+                    type: 'boolean',
+                    description: 'replace an existing out dir that was not created by pkgprn',
+                },
+                report: {
+                    type: 'string',
+                    description: 'write a JSON report of all changes to the file',
                 },
             },
         },
         [camelCase, customValue, optionalValue, help]
     );
 
-    const flags = {
-        ...values,
-        flatten: values.flatten ?? false,
-        stripComments: values.stripComments ?? false,
-    };
+    const { cwd: cwdFlag, ...flags } = values;
 
-    const pkg = await readPackage('.');
-    if (!pkg) {
-        throw new Error('Could not read package.json');
+    const command = commands.includes(positionals[0]) ? positionals.shift() : undefined;
+
+    if (positionals.length > 1) {
+        throw new Error(`unexpected argument ${positionals[1]}`);
+    }
+
+    if (positionals.length && cwdFlag !== undefined) {
+        throw new Error('package directory is given both as an argument and with --cwd');
     }
-    await prunePkg(pkg, flags, logger);
 
-    await writePackage(pkg);
+    const cwd = resolve(positionals[0] ?? /** @type {string | undefined} */ (cwdFlag) ?? '.');
+
+    if (command === 'restore') {
+        await restoreBackup(cwd, logger);
+    } else {
+        await prune(cwd, flags, command === 'pack');
+    }
 } catch (error) {
     const errorMessage = error instanceof Error ? error.message : String(error);
     logger.finish(`Error: ${errorMessage}`, 3);
     process.exit(255);
 }
 
+/**
+ * @param {string} cwd - package directory
+ * @param {Record<string, unknown>} values - parsed command line flags
+ * @param {boolean} shouldPack - write a tarball of the pruned package
+ */
+async function prune(cwd, { report: reportFile, outDir, ...values }, shouldPack) {
+    const packageJson = await readPackage(cwd);
+    if (!packageJson) {
+        throw new Error('Could not read package.json');
+    }
+
+    const { pkg, format } = packageJson;
+
+    if (shouldPack && (typeof pkg.name !== 'string' || typeof pkg.version !== 'string')) {
+        throw new Error('package.json must have a name and a version to pack');
+    }
+
+    const config = await loadConfig(cwd, pkg);
+
+    // command line flags take precedence over the config
+    const flags = {
+        ...defaultOptions,
+        ...config,
+        ...Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined)),
+        // unlike the config, the flag is relative to the current working directory
+        ...(typeof outDir === 'string' ? { outDir: resolve(outDir) } : {}),
+        cwd,
+        packageFormat: format,
+    };
+
+    const report = await prunePkg(pkg, flags, logger);
+
+    const packageDir = flags.outDir ? resolve(cwd, flags.outDir) : cwd;
+
+    if (!flags.dryRun) {
+        await writePackage(packageDir, pkg, format);
+        if (shouldPack) {
+            await packPackage(pkg, packageDir);
+        }
+    }
+
+    if (typeof reportFile === 'string') {
+        await writeFile(resolve(reportFile), `${JSON.stringify(report, null, 2)}\n`);
+    }
+}
+
+/**
+ * Writes the tarball to the current working directory and logs its contents.
+ * @param {import('./prune.js').PackageJson} pkg
+ * @param {string} dir - pruned package directory
+ */
+async function packPackage(pkg, dir) {
+    const id = `${pkg.name}@${pkg.version}`;
+    logger.update('packing...');
+
+    const files = await listPublishedFiles(pkg, dir);
+    const result = await pack(dir, files, resolve(getTarballName(String(pkg.name), String(pkg.version))));
+
+    logger(`package: ${id}`, 2);
+    for (const file of result.files) {
+        logger(`${formatSize(file.size)} ${file.path}`, 2);
+    }
+    logger(`filename: ${result.filename}`, 2);
+    logger(`package size: ${formatSize(result.size)}`, 2);
+    logger(`unpacked size: ${formatSize(result.unpackedSize)}`, 2);
+    logger(`shasum: ${result.shasum}`, 2);
+    logger(`integrity: ${result.integrity}`, 2);
+    logger(`total files: ${result.files.length}`, 2);
+}
+
 /**
  * @param {string} dir
- * @returns {Promise<import('./prune.js').PackageJson | undefined>}
+ * @returns {Promise<ReturnType<typeof parsePackage> | undefined>}
  */
 async function readPackage(dir) {
     const packageFileName = resolve(dir, 'package.json');
     try {
         const pkgFile = await readFile(packageFileName);
-        return JSON.parse(pkgFile.toString());
+        return parsePackage(pkgFile.toString());
     } catch {
         /**/
     }
 }
 
 /**
+ * @param {string} dir
  * @param {import('./prune.js').PackageJson} pkg
+ * @param {import('./package-json.js').JsonFormat} format - formatting of the original file
  */
-async function writePackage(pkg) {
-    await writeFile('./package.json', `${JSON.stringify(pkg, null, 2)}\n`);
+async function writePackage(dir, pkg, format) {
+    await writeFile(resolve(dir, 'package.json'), stringifyPackage(pkg, format));
 }
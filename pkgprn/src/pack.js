@@ -0,0 +1,182 @@
+import { createHash } from 'node:crypto';
+import { readFile, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { gzipSync } from 'node:zlib';
+
+/**
+ * Modification time npm sets on every entry (1985-10-26T08:15:00Z), in seconds.
+ */
+const entryMtime = 499162500;
+
+const blockSize = 512;
+
+/**
+ * @typedef {Object} PackResult
+ * @property {string} filename - tarball file name
+ * @property {Array<{ path: string, size: number }>} files - packed files (relative to the package directory) with sizes in bytes
+ * @property {number} size - tarball size in bytes
+ * @property {number} unpackedSize - total size of the packed files in bytes
+ * @property {string} shasum - sha1 of the tarball (hex)
+ * @property {string} integrity - sha512 subresource integrity of the tarball
+ */
+
+/**
+ * Returns the tarball file name npm uses for a package (`@scope/name` becomes `scope-name`).
+ * @param {string} name
+ * @param {string} version
+ * @returns {string}
+ */
+export function getTarballName(name, version) {
+    return `${name.replace(/^@/, '').replace('/', '-')}-${version}.tgz`;
+}
+
+/**
+ * Writes a gzipped tarball with npm's layout: every file under `package/`, normalized mtimes and modes
+ * (0755 for executables, 0644 otherwise) and a stable order, so the same files always give the same archive.
+ * @param {string} dir - package directory
+ * @param {string[]} files - paths relative to `dir`
+ * @param {string} destination - tarball path
+ * @returns {Promise<PackResult>}
+ */
+export async function pack(dir, files, destination) {
+    /** @type {Buffer[]} */
+    const blocks = [];
+    /** @type {Array<{ path: string, size: number }>} */
+    const packedFiles = [];
+    let unpackedSize = 0;
+
+    const sortedFiles = files.map(file => file.split(path.sep).join('/')).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+    for (const file of sortedFiles) {
+        const source = path.resolve(dir, file);
+        const [content, fileStat] = await Promise.all([readFile(source), stat(source)]);
+        const mode = fileStat.mode & 0o111 ? 0o755 : 0o644;
+        blocks.push(...tarEntry(`package/${file}`, content, mode));
+        packedFiles.push({ path: file, size: content.length });
+        unpackedSize += content.length;
+    }
+
+    // end of archive: two empty blocks
+    blocks.push(Buffer.alloc(blockSize * 2));
+
+    const tarball = gzipSync(Buffer.concat(blocks), { level: 9 });
+    await writeFile(destination, tarball);
+
+    return {
+        filename: path.basename(destination),
+        files: packedFiles,
+        size: tarball.length,
+        unpackedSize,
+        shasum: createHash('sha1').update(tarball).digest('hex'),
+        integrity: `sha512-${createHash('sha512').update(tarball).digest('base64')}`,
+    };
+}
+
+/**
+ * Creates the header and data blocks of a regular file.
+ * Names that do not fit the ustar name/prefix fields get a pax extended header.
+ * @param {string} name
+ * @param {Buffer} content
+ * @param {number} mode
+ * @returns {Buffer[]}
+ */
+function tarEntry(name, content, mode) {
+    /** @type {Buffer[]} */
+    const blocks = [];
+
+    let split = splitName(name);
+    if (!split) {
+        const record = paxRecord('path', name);
+        blocks.push(tarHeader({ name: 'PaxHeader', prefix: '' }, record.length, 0o644, 'x'), ...padData(record));
+        split = { name: name.slice(-100), prefix: '' };
+    }
+
+    blocks.push(tarHeader(split, content.length, mode, '0'), ...padData(content));
+
+    return blocks;
+}
+
+/**
+ * Splits a path into the ustar `prefix` (up to 155 bytes) and `name` (up to 100 bytes) fields.
+ * @param {string} name
+ * @returns {{ name: string, prefix: string } | undefined} undefined when the path does not fit
+ */
+function splitName(name) {
+    if (Buffer.byteLength(name) <= 100) {
+        return { name, prefix: '' };
+    }
+    for (let index = name.indexOf('/'); index !== -1; index = name.indexOf('/', index + 1)) {
+        const prefix = name.slice(0, index);
+        const rest = name.slice(index + 1);
+        if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) {
+            return { name: rest, prefix };
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Creates a pax record (`<length> <key>=<value>\n`, the length includes itself).
+ * @param {string} key
+ * @param {string} value
+ * @returns {Buffer}
+ */
+function paxRecord(key, value) {
+    const body = ` ${key}=${value}\n`;
+    const bodyLength = Buffer.byteLength(body);
+    let length = bodyLength + String(bodyLength).length;
+    if (String(length).length !== String(bodyLength).length) {
+        length = bodyLength + String(length).length;
+    }
+    return Buffer.from(`${length}${body}`);
+}
+
+/**
+ * @param {{ name: string, prefix: string }} name
+ * @param {number} size
+ * @param {number} mode
+ * @param {string} type - typeflag
+ * @returns {Buffer}
+ */
+function tarHeader(name, size, mode, type) {
+    const header = Buffer.alloc(blockSize);
+    header.write(name.name, 0, 100);
+    writeOctal(header, mode, 100, 8);
+    writeOctal(header, 0, 108, 8); // uid
+    writeOctal(header, 0, 116, 8); // gid
+    writeOctal(header, size, 124, 12);
+    writeOctal(header, entryMtime, 136, 12);
+    header.fill(' ', 148, 156); // checksum is calculated with spaces in its place
+    header.write(type, 156);
+    header.write('ustar\0', 257);
+    header.write('00', 263);
+    header.write(name.prefix, 345, 155);
+
+    let checksum = 0;
+    for (const byte of header) {
+        checksum += byte;
+    }
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+
+    return header;
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {number} value
+ * @param {number} offset
+ * @param {number} length - field length including the terminating NUL
+ */
+function writeOctal(buffer, value, offset, length) {
+    buffer.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset);
+}
+
+/**
+ * Pads data to whole blocks.
+ * @param {Buffer} data
+ * @returns {Buffer[]}
+ */
+function padData(data) {
+    const padding = (blockSize - (data.length % blockSize)) % blockSize;
+    return padding ? [data, Buffer.alloc(padding)] : [data];
+}
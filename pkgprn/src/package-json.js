@@ -0,0 +1,48 @@
+/**
+ * @typedef {Object} JsonFormat
+ * @property {string} indent - indentation of one level, empty string for single-line JSON
+ * @property {string} newline - `\n` or `\r\n`
+ * @property {boolean} finalNewline
+ * @property {string[]} keys - original order of the top-level keys
+ */
+
+/**
+ * Parses package.json content and remembers how it was formatted.
+ * @param {string} text
+ * @returns {{ pkg: import('./prune.js').PackageJson, format: JsonFormat }}
+ */
+export function parsePackage(text) {
+    const pkg = JSON.parse(text);
+    const indentMatch = /^([ \t]+)\S/m.exec(text);
+    return {
+        pkg,
+        format: {
+            indent: indentMatch ? indentMatch[1] : '',
+            newline: text.includes('\r\n') ? '\r\n' : '\n',
+            finalNewline: /\n$/.test(text),
+            keys: typeof pkg === 'object' && pkg !== null ? Object.keys(pkg) : [],
+        },
+    };
+}
+
+/**
+ * Serializes package.json with the original formatting.
+ * Keys keep their original position, keys added during pruning go to the end.
+ * @param {import('./prune.js').PackageJson} pkg
+ * @param {JsonFormat} format
+ * @returns {string}
+ */
+export function stringifyPackage(pkg, format) {
+    /** @type {Record<string, unknown>} */
+    const ordered = {};
+    for (const key of format.keys) {
+        if (key in pkg) {
+            ordered[key] = /** @type {Record<string, unknown>} */ (pkg)[key];
+        }
+    }
+    Object.assign(ordered, pkg);
+
+    const json = JSON.stringify(ordered, null, format.indent);
+    const text = format.newline === '\n' ? json : json.replaceAll('\n', format.newline);
+    return format.finalNewline ? `${text}${format.newline}` : text;
+}
@@ -1,8 +1,18 @@
-import { access, glob as fsGlob, mkdir, readdir, readFile, rename, rm, stat, writeFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { access, cp, glob as fsGlob, lstat, mkdir, mkdtemp, readdir, readFile, rename, rm, stat, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
 import path from 'node:path';
 
-import { extractReferences } from './extract-references.js';
+import { backupPath, createBackup, markCreated, saveBackup } from './backup.js';
+import { dropConditions } from './conditions.js';
+import { configKey } from './config.js';
+import { extractAlternativeEntries, extractReferences } from './extract-references.js';
+import { createMatcher, globToRegExp, subpathPatternToRegExp } from './glob.js';
+import { ignoreFileNames, isIgnored, parseIgnoreFile } from './ignore.js';
+import { stringifyPackage } from './package-json.js';
+import { findExceededSizeLimits, formatSize, formatSizeTable, getCompressedSize, getDirectorySizes, parseSize } from './size.js';
 import { adjustSourcemapLineMappings, isStrippableFile, parseCommentTypes, stripCommentsWithLineMap } from './strip-comments.js';
+import { resolveDependencyRanges } from './workspace.js';
 
 /**
  * Files always included by npm regardless of the `files` array.
@@ -36,31 +46,161 @@ const alwaysIgnoredPatterns = [
  */
 const hardIgnored = new Set(['.git', '.npmrc', 'node_modules', 'package-lock.json', 'pnpm-lock.yaml', 'yarn.lock', 'bun.lockb']);
 
+/**
+ * Marks an out dir created by pkgprn, so that it can be replaced on the next run. `node_modules` is never published.
+ */
+const outDirMarker = 'node_modules/.pkgprn-out-dir';
+
+/**
+ * Test, story and fixture files removed by `removeTests: true`, patterns without `/` match names at any depth.
+ */
+const testPatterns = ['*.test.*', '*.spec.*', '*.stories.*', '__tests__', '__mocks__', '__fixtures__'];
+
+/**
+ * Top-level package.json fields that only configure development tools and are removed by default.
+ */
+const devOnlyFields = [
+    'eslintConfig',
+    'prettier',
+    'jest',
+    'c8',
+    'lint-staged',
+    'husky',
+    'simple-git-hooks',
+    'commitlint',
+    'release',
+    'pnpm',
+    'resolutions',
+    'overrides',
+    'workspaces',
+    'volta',
+    'devEngines',
+];
+
+/**
+ * `publishConfig` fields that replace the top-level fields in the published manifest (as in pnpm and yarn).
+ */
+const publishConfigOverrides = [
+    'bin',
+    'main',
+    'module',
+    'exports',
+    'imports',
+    'types',
+    'typings',
+    'typesVersions',
+    'browser',
+    'esnext',
+    'es2015',
+    'unpkg',
+    'umd:main',
+    'type',
+    'os',
+    'cpu',
+    'libc',
+];
+
+/**
+ * Number of the largest files and directories logged when a size limit is exceeded, and of the largest savings logged
+ * by the size summary.
+ */
+const largestCount = 10;
+
+/**
+ * Formatting of package.json when the original one is not known (`packageFormat` is not passed to `prunePkg`).
+ * @type {import('./package-json.js').JsonFormat}
+ */
+const defaultPackageFormat = { indent: '  ', newline: '\n', finalNewline: true, keys: [] };
+
 /**
  * @typedef {import('@niceties/logger').Logger} Logger
  */
 
 /**
  * @typedef {Object} PackageJson
+ * @property {string} [name]
+ * @property {string} [version]
  * @property {Object.<string, string>} [scripts]
+ * @property {Object.<string, string>} [dependencies]
+ * @property {Object.<string, string>} [peerDependencies]
+ * @property {Object.<string, string>} [optionalDependencies]
  * @property {Object.<string, string>} [devDependencies]
  * @property {string} [packageManager]
+ * @property {unknown} [pkgprn] - pkgprn configuration
  * @property {string} [main]
  * @property {string|Object.<string, string>} [bin]
  * @property {Array<string>} [files]
  * @property {Record<string, unknown>} [directories]
  * @property {Record<string, unknown>} [exports]
+ * @property {Record<string, unknown>} [imports]
  * @property {Record<string, unknown>} [typesVersions]
+ * @property {Record<string, unknown>} [publishConfig]
  */
 
 /**
  * @typedef {Object} PruneOptions
- * @property {string} profile
+ * @property {string} [cwd] - package directory, defaults to the current working directory
+ * @property {string} profile - built-in (`library`, `app`) or custom profile
+ * @property {Record<string, ProfileDefinition>} [profiles] - custom profiles
  * @property {true|string[]|false} flatten
  * @property {boolean} removeSourcemaps
  * @property {true|string[]|false} stripComments
+ * @property {true|string[]|false} [removeTests] - remove test, story and fixture files from the published files, `true` for the built-in patterns
+ * @property {string[]} [removeFields] - top-level fields to remove in addition to the built-in dev-only fields
+ * @property {string[]} [keepFields] - built-in dev-only fields to keep
+ * @property {string[]} [dropConditions] - conditions to remove from `exports` and `imports`
+ * @property {string[]} [keep] - glob patterns of files that are never deleted or moved, patterns without `/` match names at any depth
+ * @property {number|string} [maxSize] - fail when the unpacked size of the published files is larger, bytes or a size like `5mb`
+ * @property {number|string} [maxFileSize] - fail when a published file is larger
+ * @property {Record<string, number|string>} [sizeBudgets] - glob pattern -> maximum size of every published file matching it
+ * @property {boolean} [sizeSummary] - measure the files after every step that removes or shrinks files and log the savings
  * @property {boolean} optimizeFiles
  * @property {boolean} cleanupFiles
+ * @property {boolean} [validateReferences] - fail when a path referenced by package.json is missing after pruning, defaults to `true`
+ * @property {boolean} [dryRun] - run the pipeline on a scratch copy and only report the planned changes
+ * @property {boolean} [backup] - save everything that gets changed so that `pkgprn restore` can undo the pruning
+ * @property {string} [outDir] - copy the published files to this directory (relative to `cwd`) and prune there, the package directory is left untouched
+ * @property {boolean} [overwriteOutDir] - replace an existing out dir that was not created by pkgprn
+ * @property {import('./package-json.js').JsonFormat} [packageFormat] - formatting of the original package.json, used to measure the pruned one
+ */
+
+/**
+ * @typedef {Object} ProfileDefinition
+ * @property {string} [extends] - built-in profile whose scripts are kept, none when omitted
+ * @property {string[]} [keep] - glob patterns of additional scripts to keep
+ * @property {string[]} [remove] - glob patterns of scripts to remove, takes precedence over `extends` and `keep`
+ */
+
+/**
+ * @typedef {Object} PruneReport
+ * @property {string[]} removedScripts
+ * @property {string[]} removedFields
+ * @property {import('./conditions.js').DroppedCondition[]} droppedConditions - conditions removed from `exports` and `imports`
+ * @property {Array<{ file: string, size: number }>} deletedFiles - sizes in bytes
+ * @property {string[]} keptFiles - files matched by `keep` that would have been deleted
+ * @property {Array<{ from: string, to: string }>} movedFiles
+ * @property {Array<{ path: string[], from: string, to: string }>} rewrittenReferences - package.json values changed by flatten, `path` is the key path
+ * @property {Array<{ file: string, before: number, after: number, comments: Partial<Record<import('./strip-comments.js').CommentType, number>> }>} strippedComments - sizes in bytes, number of removed comments per type
+ * @property {{ removed: string[], adjusted: string[] }} sourcemaps
+ * @property {{ steps: import('./size.js').SizeTotals[], savings: import('./size.js').FileSize[] }} [sizes] - with `sizeSummary`:
+ * totals after every step and the bytes saved per file (path before flatten), largest first
+ * @property {string[]} [files] - the optimized `files` array (before cleanup drops it)
+ */
+
+/**
+ * @typedef {Object} PruneContext
+ * @property {string} cwd - absolute path of the directory the pipeline works in, all other paths are relative to it
+ * @property {Logger} logger
+ * @property {PruneReport} report
+ * @property {(file: string) => boolean} isKept - matches the files protected by the `keep` option
+ * @property {import('./backup.js').Backup} [backup]
+ * @property {SizeSnapshots} [sizeSnapshots] - with `sizeSummary`
+ */
+
+/**
+ * @typedef {Object} SizeSnapshots
+ * @property {Array<{ step: string, files: Map<string, import('./size.js').CompressedSize> }>} steps - files after every step
+ * @property {Map<string, import('./size.js').CompressedSize>} cache - compressed sizes by content hash, most files do not change between steps
  */
 
 /**
@@ -68,22 +208,244 @@ const hardIgnored = new Set(['.git', '.npmrc', 'node_modules', 'package-lock.jso
  * @param {PackageJson} pkg
  * @param {PruneOptions} options
  * @param {Logger} logger
+ * @returns {Promise<PruneReport>} everything that was changed (or would be changed in a dry run)
  */
 export async function prunePkg(pkg, options, logger) {
-    const scriptsToKeep = getScriptsData();
+    /** @type {PruneContext} */
+    const context = {
+        cwd: path.resolve(options.cwd ?? '.'),
+        logger,
+        report: {
+            removedScripts: [],
+            removedFields: [],
+            droppedConditions: [],
+            deletedFiles: [],
+            keptFiles: [],
+            movedFiles: [],
+            rewrittenReferences: [],
+            strippedComments: [],
+            sourcemaps: { removed: [], adjusted: [] },
+        },
+        isKept: createKeepMatcher(options.keep ?? []),
+        sizeSnapshots: options.sizeSummary ? { steps: [], cache: new Map() } : undefined,
+    };
+
+    const outDir = options.outDir !== undefined ? path.resolve(context.cwd, options.outDir) : undefined;
+
+    if (outDir !== undefined && (outDir === context.cwd || isSubDirectory(outDir, context.cwd))) {
+        throw new Error('out dir must not contain the package directory');
+    }
+
+    applyPublishConfig(pkg);
+
+    // resolved against the real package directory, the workspace root cannot be found from a scratch or out dir
+    await resolveDependencyRanges(pkg, context.cwd);
+
+    if (outDir !== undefined) {
+        await checkOutDir(pkg, outDir, options, context);
+    }
+
+    if (!options.dryRun && outDir !== undefined) {
+        // the package directory is not modified, so there is nothing to back up
+        await rm(outDir, { recursive: true, force: true });
+        await mkdir(path.resolve(outDir, path.dirname(outDirMarker)), { recursive: true });
+        await writeFile(path.resolve(outDir, outDirMarker), '');
+        await copyPublishedFiles(pkg, context.cwd, outDir, context.isKept);
+        context.cwd = outDir;
+        await prune(pkg, options, context);
+        logSizeSummary(context.report, logger);
+        return context.report;
+    }
+
+    if (!options.dryRun) {
+        if (options.backup) {
+            context.backup = await createBackup(context.cwd);
+            await backupPath(context.backup, 'package.json');
+        }
+        try {
+            await prune(pkg, options, context);
+        } finally {
+            if (context.backup) {
+                await saveBackup(context.backup);
+            }
+        }
+        logSizeSummary(context.report, logger);
+        return context.report;
+    }
+
+    // run everything against a scratch copy so the real package directory is never touched
+    const packageDir = context.cwd;
+    const scratchDir = await mkdtemp(path.join(tmpdir(), 'pkgprn-'));
+    try {
+        if (outDir !== undefined) {
+            await copyPublishedFiles(pkg, packageDir, scratchDir, context.isKept);
+        } else {
+            await cp(packageDir, scratchDir, {
+                recursive: true,
+                filter: source => !['node_modules', '.git'].includes(path.relative(packageDir, source)),
+            });
+        }
+        context.cwd = scratchDir;
+        await prune(pkg, options, context);
+    } finally {
+        context.cwd = packageDir;
+        await rm(scratchDir, { recursive: true, force: true });
+    }
+
+    logDryRun(context.report, logger);
+    logSizeSummary(context.report, logger);
+
+    return context.report;
+}
+
+/**
+ * Makes sure that replacing the out dir cannot destroy anything: an existing out dir must be empty or created by
+ * pkgprn (unless `overwriteOutDir` is set), and an out dir inside the package must not overlap the published files.
+ * @param {PackageJson} pkg
+ * @param {string} outDir - absolute path
+ * @param {PruneOptions} options
+ * @param {PruneContext} context
+ */
+async function checkOutDir(pkg, outDir, options, context) {
+    const { cwd } = context;
+    const relativeOutDir = normalizePath(path.relative(cwd, outDir));
+    const created = await isFile(outDir, outDirMarker);
+
+    if (!created && !options.overwriteOutDir && (await isExists(outDir, '.'))) {
+        if (!(await isDirectory(outDir, '.')) || (await readdir(outDir)).length > 0) {
+            throw new Error(`out dir ${relativeOutDir} is not empty and was not created by pkgprn`);
+        }
+    }
+
+    if (!isSubDirectory(cwd, outDir)) {
+        return;
+    }
+
+    // the pruned files would replace the published ones, or end up published from the package directory on the next run
+    for (const file of await listStagedFiles(pkg, cwd, context.isKept)) {
+        const normalized = normalizePath(file);
+        const inOutDir = normalized.startsWith(`${relativeOutDir}/`);
+        if (inOutDir ? !created : isInPublishedDirectory(relativeOutDir, normalized)) {
+            throw new Error(`out dir ${relativeOutDir} overlaps the published files`);
+        }
+    }
+}
+
+/**
+ * @param {string} dir - path relative to the package directory
+ * @param {string} file - published file
+ * @returns {boolean} whether `dir` is inside one of the directories of the file
+ */
+function isInPublishedDirectory(dir, file) {
+    for (let parent = path.dirname(file); parent !== '.'; parent = path.dirname(parent)) {
+        if (dir === parent || dir.startsWith(`${parent}/`)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Lists the files npm would publish: the `files` array and always-included files, or everything when there is
+ * no `files` array. Always-ignored files are never listed.
+ * @param {PackageJson} pkg
+ * @param {string} [cwd='.'] - package directory
+ * @returns {Promise<string[]>} paths relative to the package directory
+ */
+export async function listPublishedFiles(pkg, cwd = '.') {
+    return listFiles(pkg, cwd, getAlwaysIncludedFiles(pkg));
+}
+
+/**
+ * @param {PackageJson} pkg
+ * @param {string} cwd - package directory
+ * @param {string[]} alwaysIncludedFiles - files included even when the `files` array does not list them
+ * @returns {Promise<string[]>} paths relative to the package directory
+ */
+async function listFiles(pkg, cwd, alwaysIncludedFiles) {
+    if (!Array.isArray(pkg.files)) {
+        /** @type {string[]} */
+        const files = [];
+        for await (const { file, ignored } of walkIgnoreRules(cwd, alwaysIncludedFiles)) {
+            if (!ignored) {
+                files.push(file);
+            }
+        }
+        return files;
+    }
+
+    const filesEntries = (await expandFileGlobs(cwd, pkg.files)).map(normalizePath);
+
+    /** @type {string[]} */
+    const result = [];
+
+    /**
+     * @param {string} dir
+     * @param {boolean} included - whether the whole directory is included
+     */
+    const walk = async (dir, included) => {
+        const entries = await readdir(path.resolve(cwd, dir), { withFileTypes: true });
+        for (const entry of entries) {
+            if (hardIgnored.has(entry.name) || isAlwaysIgnored(entry.name)) {
+                continue;
+            }
+            const file = path.join(dir, entry.name);
+            const match = included ? 'included' : matchFilesEntries(file, filesEntries, alwaysIncludedFiles);
+            if (match === 'excluded') {
+                continue;
+            }
+            if (entry.isDirectory()) {
+                await walk(file, match === 'included');
+            } else {
+                result.push(file);
+            }
+        }
+    };
+
+    await walk('.', false);
+
+    return result;
+}
+
+/**
+ * @param {PackageJson} pkg
+ * @param {PruneOptions} options
+ * @param {PruneContext} context
+ */
+async function prune(pkg, options, context) {
+    const { cwd, logger, report } = context;
 
-    const keys = scriptsToKeep[/** @type {'library'|'app'} */ (options.profile)];
+    const keepScript = getScriptFilter(options.profile, options.profiles);
+    const sizeLimits = getSizeLimits(options);
 
-    if (!keys) {
-        throw new Error(`unknown profile ${options.profile}`);
+    for (const field of /** @type {const} */ (['devDependencies', 'packageManager', configKey])) {
+        if (pkg[field] !== undefined) {
+            report.removedFields.push(field);
+            pkg[field] = undefined;
+        }
     }
 
-    pkg.devDependencies = undefined;
-    pkg.packageManager = undefined;
+    const fields = /** @type {Record<string, unknown>} */ (pkg);
+    const keepFields = new Set(options.keepFields);
+    /** @type {string[]} */
+    const removedDevFields = [];
+    for (const field of new Set([...devOnlyFields, ...(options.removeFields ?? [])])) {
+        if (!keepFields.has(field) && Object.hasOwn(fields, field) && fields[field] !== undefined) {
+            removedDevFields.push(field);
+            fields[field] = undefined;
+        }
+    }
+    if (removedDevFields.length) {
+        report.removedFields.push(...removedDevFields);
+        if (!options.dryRun) {
+            logger(`removed fields: ${removedDevFields.join(', ')}`, 2);
+        }
+    }
 
     if (pkg.scripts) {
         for (const key of Object.keys(pkg.scripts)) {
-            if (!keys.has(key)) {
+            if (!keepScript(key)) {
+                report.removedScripts.push(key);
                 delete pkg.scripts[key];
             }
         }
@@ -93,51 +455,84 @@ export async function prunePkg(pkg, options, logger) {
         }
     }
 
+    if (options.dropConditions?.length) {
+        // before cleanup and flatten, so that the removed targets neither keep files alive nor affect the flatten prefix
+        const conditions = new Set(options.dropConditions);
+        for (const field of /** @type {const} */ (['exports', 'imports'])) {
+            if (pkg[field] !== undefined) {
+                const { value, dropped } = dropConditions(pkg[field], conditions, [field]);
+                pkg[field] = /** @type {Record<string, unknown>} */ (value);
+                report.droppedConditions.push(...dropped);
+            }
+        }
+        if (report.droppedConditions.length && !options.dryRun) {
+            logger(`dropped conditions: ${getDroppedConditionNames(report).join(', ')}`, 2);
+        }
+    }
+
     if (pkg.files && Array.isArray(pkg.files)) {
-        pkg.files = await expandFileGlobs(pkg.files);
+        pkg.files = await expandFileGlobs(cwd, pkg.files);
     }
 
+    await recordSizes('before', context);
+
     if (options.cleanupFiles) {
-        await removeJunkFiles('.');
+        await removeJunkFiles('.', context);
+        await recordSizes('junk removal', context);
     } else if (options.flatten) {
         logger('cleanup is disabled, junk files may cause flatten to fail', 2);
     }
 
     if (pkg.files && Array.isArray(pkg.files) && pkg.files.length > 0 && options.cleanupFiles) {
-        await cleanupDir(pkg, logger);
+        await cleanupDir(pkg, context);
+    } else if (!Array.isArray(pkg.files) && options.cleanupFiles) {
+        await cleanupIgnoredFiles(pkg, context);
+    }
+
+    if (options.cleanupFiles) {
+        await recordSizes('cleanup', context);
+    }
+
+    if (options.removeTests) {
+        await removeTestFiles(pkg, options.removeTests === true ? testPatterns : options.removeTests, context);
+        await recordSizes('test removal', context);
     }
 
     if (options.flatten) {
-        await flatten(pkg, options.flatten, logger, options.removeSourcemaps);
+        await flatten(pkg, options.flatten, context, options.removeSourcemaps);
     }
 
     if (options.removeSourcemaps) {
-        const sourceMaps = await walkDir('.', ['node_modules']).then(files => files.filter(file => file.endsWith('.map')));
+        const sourceMaps = await walkDir(cwd, '.', ['node_modules']).then(files =>
+            files.filter(file => file.endsWith('.map') && !context.isKept(normalizePath(file)))
+        );
         for (const sourceMap of sourceMaps) {
             // find corresponding file
             const sourceFile = sourceMap.slice(0, -4);
             // load file
-            const sourceFileContent = await readFile(sourceFile, 'utf8');
+            const sourceFileContent = await readFile(path.resolve(cwd, sourceFile), 'utf8');
             // find sourceMappingURL
             const sourceMappingUrl = `\n//# sourceMappingURL=${path.basename(sourceMap)}`;
             // remove sourceMappingURL
             const newContent = sourceFileContent.replace(sourceMappingUrl, '');
             // write file
-            await writeFile(sourceFile, newContent, 'utf8');
+            await updateFile(sourceFile, newContent, context);
             // remove sourceMap
-            await rm(sourceMap);
+            await removePath(sourceMap, context);
+            report.sourcemaps.removed.push(normalizePath(sourceMap));
         }
         // remove deleted .map files from pkg.files (e.g. after flatten added them individually)
         if (pkg.files && sourceMaps.length > 0) {
             const removedMaps = new Set(sourceMaps.map(f => normalizePath(path.relative('.', f))));
             pkg.files = pkg.files.filter(f => !removedMaps.has(normalizePath(f)));
         }
+        await recordSizes('sourcemap removal', context);
     }
 
     if (options.stripComments) {
         const typesToStrip = parseCommentTypes(options.stripComments);
         logger.update('stripping comments...');
-        const allFiles = await walkDir('.', ['node_modules']);
+        const allFiles = await walkDir(cwd, '.', ['node_modules']);
         const jsFiles = allFiles.filter(isStrippableFile);
         const dtsMapFiles = allFiles.filter(f => f.endsWith('.d.ts.map'));
 
@@ -145,10 +540,16 @@ export async function prunePkg(pkg, options, logger) {
         /** @type {Map<string, Int32Array>} */
         const lineMaps = new Map();
         for (const file of jsFiles) {
-            const content = await readFile(file, 'utf8');
-            const { result: stripped, lineMap } = stripCommentsWithLineMap(content, typesToStrip);
+            const content = await readFile(path.resolve(cwd, file), 'utf8');
+            const { result: stripped, lineMap, removed } = stripCommentsWithLineMap(content, typesToStrip);
             if (lineMap) {
-                await writeFile(file, stripped, 'utf8');
+                await updateFile(file, stripped, context);
+                report.strippedComments.push({
+                    file: normalizePath(file),
+                    before: Buffer.byteLength(content),
+                    after: Buffer.byteLength(stripped),
+                    comments: removed,
+                });
                 lineMaps.set(path.normalize(file), lineMap);
             }
         }
@@ -156,7 +557,7 @@ export async function prunePkg(pkg, options, logger) {
         // Adjust .d.ts.map files that reference any of the stripped JS files.
         if (lineMaps.size > 0 && dtsMapFiles.length > 0) {
             for (const mapFile of dtsMapFiles) {
-                const mapContent = await readFile(mapFile, 'utf8');
+                const mapContent = await readFile(path.resolve(cwd, mapFile), 'utf8');
                 let map;
                 try {
                     map = JSON.parse(mapContent);
@@ -176,10 +577,16 @@ export async function prunePkg(pkg, options, logger) {
                     }
                 }
                 if (adjusted) {
-                    await writeFile(mapFile, `${JSON.stringify(map, null, '\t')}\n`, 'utf8');
+                    await updateFile(mapFile, `${JSON.stringify(map, null, '\t')}\n`, context);
+                    report.sourcemaps.adjusted.push(normalizePath(mapFile));
                 }
             }
         }
+        await recordSizes('comment stripping', context);
+    }
+
+    if (context.sizeSnapshots) {
+        report.sizes = getSizeSummary(context.sizeSnapshots, report);
     }
 
     if (pkg.files && Array.isArray(pkg.files) && options.optimizeFiles) {
@@ -213,7 +620,7 @@ export async function prunePkg(pkg, options, logger) {
             }
             for (const [dirname, filesInDir] of mapDirToFiles) {
                 // find out real content of the directory
-                const realFiles = await readdir(dirname);
+                const realFiles = await readdir(path.resolve(cwd, dirname));
                 // check if all files in the directory are in the filesInDir
                 const allFilesInDir = realFiles.every(file => filesInDir.includes(file)) || realFiles.length === 0;
                 if (allFilesInDir && dirname !== '.') {
@@ -251,8 +658,8 @@ export async function prunePkg(pkg, options, logger) {
         const ignoreDirs = [];
 
         for (const fileOrDir of pkg.files) {
-            if (await isDirectory(fileOrDir)) {
-                const allFiles = await walkDir(fileOrDir);
+            if (await isDirectory(cwd, fileOrDir)) {
+                const allFiles = await walkDir(cwd, fileOrDir);
                 if (
                     allFiles.every((/** @type {string} */ file) => {
                         const fileNormalized = normalizePath(file);
@@ -271,19 +678,320 @@ export async function prunePkg(pkg, options, logger) {
         }
     }
 
+    report.files = pkg.files ? [...pkg.files] : undefined;
+
+    if (report.keptFiles.length && !options.dryRun) {
+        logger(`kept files: ${report.keptFiles.join(', ')}`, 2);
+    }
+
+    if (options.validateReferences !== false) {
+        const missing = await findMissingReferences(pkg, cwd);
+        if (missing.length) {
+            throw new Error(`package.json references missing paths: ${missing.join(', ')}`);
+        }
+    }
+
+    // listed before the `files` array is dropped, it still decides what is published when cleanup is disabled
+    const publishedFiles = sizeLimits ? await listFiles(pkg, cwd, getAlwaysIncludedFiles(pkg)) : [];
+
     if (options.cleanupFiles) {
         pkg.files = undefined;
     }
+
+    if (sizeLimits) {
+        await checkSizeLimits(pkg, publishedFiles, sizeLimits, options.packageFormat ?? defaultPackageFormat, context);
+    }
+}
+
+/**
+ * @param {PruneOptions} options
+ * @returns {import('./size.js').SizeLimits | undefined} undefined when no limit is set
+ */
+function getSizeLimits({ maxSize, maxFileSize, sizeBudgets = {} }) {
+    if (maxSize === undefined && maxFileSize === undefined && Object.keys(sizeBudgets).length === 0) {
+        return undefined;
+    }
+    return {
+        maxSize: maxSize !== undefined ? parseSize(maxSize) : undefined,
+        maxFileSize: maxFileSize !== undefined ? parseSize(maxFileSize) : undefined,
+        budgets: Object.fromEntries(Object.entries(sizeBudgets).map(([pattern, size]) => [pattern, parseSize(size)])),
+    };
+}
+
+/**
+ * Fails when the published files exceed the size limits, after logging the largest files and directories.
+ * @param {PackageJson} pkg
+ * @param {string[]} files - published files
+ * @param {import('./size.js').SizeLimits} limits
+ * @param {import('./package-json.js').JsonFormat} format - formatting package.json is written with
+ * @param {PruneContext} context
+ */
+async function checkSizeLimits(pkg, files, limits, format, context) {
+    const { cwd, logger } = context;
+
+    /** @type {import('./size.js').FileSize[]} */
+    const sizes = [];
+    for (const file of files) {
+        // package.json is written after pruning, so the pruned object is measured instead of the file
+        const size =
+            file === 'package.json' ? Buffer.byteLength(stringifyPackage(pkg, format)) : (await stat(path.resolve(cwd, file))).size;
+        sizes.push({ file: normalizePath(file), size });
+    }
+
+    const exceeded = findExceededSizeLimits(sizes, limits);
+    if (exceeded.length === 0) {
+        return;
+    }
+
+    logger('largest files:', 2);
+    for (const { file, size } of [...sizes].sort((a, b) => b.size - a.size).slice(0, largestCount)) {
+        logger(`${formatSize(size)} ${file}`, 2);
+    }
+    const directories = getDirectorySizes(sizes).slice(0, largestCount);
+    if (directories.length) {
+        logger('largest directories:', 2);
+        for (const { file, size } of directories) {
+            logger(`${formatSize(size)} ${file}/`, 2);
+        }
+    }
+
+    throw new Error(`size limits exceeded: ${exceeded.join(', ')}`);
+}
+
+/**
+ * Checks every path package.json references (entry points, `exports`, `typesVersions`, `directories.bin` and `files`)
+ * against the pruned package directory. Patterns with `*` must match at least one file.
+ * @param {PackageJson} pkg
+ * @param {string} cwd
+ * @returns {Promise<string[]>} the missing paths
+ */
+async function findMissingReferences(pkg, cwd) {
+    const references = new Set(extractReferences(pkg).filter(reference => typeof reference === 'string'));
+    for (const entry of pkg.files ?? []) {
+        if (!entry.startsWith('!')) {
+            references.add(entry);
+        }
+    }
+
+    /** @type {string[] | undefined} */
+    let packageFiles;
+
+    /** @type {string[]} */
+    const missing = [];
+    for (const reference of references) {
+        if (reference.includes('*')) {
+            packageFiles ??= await walkDir(cwd, '.', ['node_modules']);
+            if (expandPattern(reference, packageFiles).length === 0) {
+                missing.push(`${reference} (matches no files)`);
+            }
+            continue;
+        }
+        const found = reference === pkg.main ? await isMainResolvable(cwd, reference) : await isExists(cwd, reference);
+        if (!found) {
+            missing.push(reference);
+        }
+    }
+    return missing;
+}
+
+/**
+ * Files referenced by package.json: the entry points and the targets of `exports`, `imports` and `typesVersions`,
+ * subpath patterns are expanded against the package files.
+ * @param {PackageJson} pkg
+ * @param {string[]} files - files of the package, relative to the package directory
+ * @returns {string[]}
+ */
+function getReferencedFiles(pkg, files) {
+    return extractReferences(pkg)
+        .filter(reference => typeof reference === 'string')
+        .flatMap(reference => (reference.includes('*') ? expandPattern(reference, files) : [reference]))
+        .map(normalizePath);
+}
+
+/**
+ * Expands a subpath pattern of `exports`, `imports` or `typesVersions` to the files it exposes.
+ * @param {string} pattern - e.g. `./dist/features/*.js`
+ * @param {string[]} files - all files of the package, relative to the package directory
+ * @returns {string[]}
+ */
+function expandPattern(pattern, files) {
+    const regExp = subpathPatternToRegExp(normalizePath(pattern));
+    return files.filter(file => regExp.test(normalizePath(file)));
+}
+
+/**
+ * Checks `main` the way `require` resolves it: the extension and an `index` file in a directory can be omitted.
+ * @param {string} cwd
+ * @param {string} main
+ * @returns {Promise<boolean>}
+ */
+async function isMainResolvable(cwd, main) {
+    const extensions = ['.js', '.json', '.node'];
+    const candidates = [
+        main,
+        ...extensions.map(extension => `${main}${extension}`),
+        ...extensions.map(extension => path.join(main, `index${extension}`)),
+    ];
+    for (const candidate of candidates) {
+        if (await isFile(cwd, candidate)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Moves `publishConfig` overrides to the top level. The other `publishConfig` fields (`access`, `registry`, `@scope:registry`
+ * and the rest of the npm config) are kept, npm applies them when publishing.
+ * @param {PackageJson} pkg
+ */
+function applyPublishConfig(pkg) {
+    const { publishConfig } = pkg;
+    if (typeof publishConfig !== 'object' || publishConfig === null || Array.isArray(publishConfig)) {
+        return;
+    }
+
+    const fields = /** @type {Record<string, unknown>} */ (pkg);
+    for (const field of publishConfigOverrides) {
+        if (publishConfig[field] !== undefined) {
+            fields[field] = publishConfig[field];
+        }
+    }
+
+    const remaining = Object.entries(publishConfig).filter(([key]) => !publishConfigOverrides.includes(key));
+    pkg.publishConfig = remaining.length ? Object.fromEntries(remaining) : undefined;
+}
+
+/**
+ * Logs the changes collected during a dry run.
+ * @param {PruneReport} report
+ * @param {Logger} logger
+ */
+function logDryRun(report, logger) {
+    logger('dry run, nothing was written', 2);
+    if (report.removedScripts.length) {
+        logger(`would remove scripts: ${report.removedScripts.join(', ')}`, 2);
+    }
+    if (report.removedFields.length) {
+        logger(`would remove fields: ${report.removedFields.join(', ')}`, 2);
+    }
+    if (report.droppedConditions.length) {
+        logger(`would drop conditions: ${getDroppedConditionNames(report).join(', ')}`, 2);
+    }
+    for (const { file } of report.deletedFiles) {
+        logger(`would delete ${file}`, 2);
+    }
+    if (report.keptFiles.length) {
+        logger(`would keep files: ${report.keptFiles.join(', ')}`, 2);
+    }
+    for (const { from, to } of report.movedFiles) {
+        logger(`would move ${from} -> ${to}`, 2);
+    }
+    for (const { file, before, after } of report.strippedComments) {
+        logger(`would strip comments from ${file}: ${before} -> ${after} bytes (-${before - after})`, 2);
+    }
+    if (report.files) {
+        logger(`files: ${report.files.join(', ')}`, 2);
+    }
+}
+
+/**
+ * Logs the size totals after every step and the largest savings by file.
+ * @param {PruneReport} report
+ * @param {Logger} logger
+ */
+function logSizeSummary(report, logger) {
+    if (!report.sizes) {
+        return;
+    }
+    for (const line of formatSizeTable(report.sizes.steps)) {
+        logger(line, 2);
+    }
+    if (report.sizes.savings.length) {
+        logger('largest savings:', 2);
+        for (const { file, size } of report.sizes.savings.slice(0, largestCount)) {
+            logger(`${formatSize(size)} ${file}`, 2);
+        }
+    }
+}
+
+/**
+ * Measures the files in the working directory after a pipeline step, when the size summary is enabled.
+ * @param {string} step
+ * @param {PruneContext} context
+ */
+async function recordSizes(step, context) {
+    const { cwd, sizeSnapshots } = context;
+    if (!sizeSnapshots) {
+        return;
+    }
+    /** @type {Map<string, import('./size.js').CompressedSize>} */
+    const files = new Map();
+    for (const file of await listWorkingFiles(cwd, () => true)) {
+        const content = await readFile(path.resolve(cwd, file));
+        const hash = createHash('sha1').update(content).digest('base64');
+        let size = sizeSnapshots.cache.get(hash);
+        if (!size) {
+            size = getCompressedSize(content);
+            sizeSnapshots.cache.set(hash, size);
+        }
+        files.set(file, size);
+    }
+    sizeSnapshots.steps.push({ step, files });
+}
+
+/**
+ * Sums up the snapshots and compares the files of the first and the last one, following the flatten moves.
+ * @param {SizeSnapshots} sizeSnapshots
+ * @param {PruneReport} report
+ * @returns {NonNullable<PruneReport['sizes']>}
+ */
+function getSizeSummary({ steps }, report) {
+    const totals = steps.map(({ step, files }) => {
+        const sizes = [...files.values()];
+        return {
+            step,
+            files: files.size,
+            size: sizes.reduce((sum, { size }) => sum + size, 0),
+            gzip: sizes.reduce((sum, { gzip }) => sum + gzip, 0),
+            brotli: sizes.reduce((sum, { brotli }) => sum + brotli, 0),
+        };
+    });
+
+    const moves = new Map(report.movedFiles.map(({ from, to }) => [from, to]));
+    const first = steps[0].files;
+    const last = steps[steps.length - 1].files;
+    /** @type {import('./size.js').FileSize[]} */
+    const savings = [];
+    for (const [file, { size }] of first) {
+        const saved = size - (last.get(moves.get(file) ?? file)?.size ?? 0);
+        if (saved > 0) {
+            savings.push({ file, size: saved });
+        }
+    }
+    savings.sort((a, b) => b.size - a.size);
+
+    return { steps: totals, savings };
+}
+
+/**
+ * @param {PruneReport} report
+ * @returns {string[]} unique names of the dropped conditions
+ */
+function getDroppedConditionNames(report) {
+    return [...new Set(report.droppedConditions.map(({ path }) => path[path.length - 1]))];
 }
 
 /**
  * Flattens the dist directory and updates package.json references.
  * @param {PackageJson} pkg
  * @param {true|string[]} flatten
- * @param {Logger} logger
+ * @param {PruneContext} context
  * @param {boolean} [skipSourcemapAdjust] - skip sourcemap adjustment (e.g. when sourcemaps will be removed)
  */
-async function flatten(pkg, flatten, logger, skipSourcemapAdjust) {
+async function flatten(pkg, flatten, context, skipSourcemapAdjust) {
+    const { cwd, logger, report } = context;
+
     // find out where is the dist folder
 
     const allReferences = extractReferences(pkg);
@@ -304,9 +1012,16 @@ async function flatten(pkg, flatten, logger, skipSourcemapAdjust) {
                 continue;
             }
 
-            const dirname = path.dirname(entry);
+            // only the part of a pattern before `*` is a path, a pattern like `./dist/*` exposes the whole `dist` directory
+            const dirname = entry.includes('*')
+                ? entry.slice(0, Math.max(0, entry.lastIndexOf('/', entry.indexOf('*'))))
+                : path.dirname(entry);
 
             const cleanedSegments = dirname.split('/').filter(path => path && path !== '.');
+            // files in the package root (e.g. a `./package.json` export) say nothing about the dist folder
+            if (cleanedSegments.length === 0) {
+                continue;
+            }
             if (!commonSegments) {
                 commonSegments = cleanedSegments;
             } else {
@@ -334,9 +1049,21 @@ async function flatten(pkg, flatten, logger, skipSourcemapAdjust) {
     /** @type {Map<string, { distDir: string, relativeDistDir: string, files: string[] }>} */
     const distDirInfo = new Map();
 
+    /** @type {Set<string>} */
+    const keptFiles = new Set();
+
     for (const distDir of distDirs) {
         const relativeDistDir = `./${distDir}`;
-        const files = await walkDir(relativeDistDir);
+        // kept files stay where they are, so they are neither moved nor in conflict with the root files
+        /** @type {string[]} */
+        const files = [];
+        for (const file of await walkDir(cwd, relativeDistDir)) {
+            if (context.isKept(normalizePath(file))) {
+                keptFiles.add(normalizePath(file));
+            } else {
+                files.push(file);
+            }
+        }
         distDirInfo.set(distDir, { distDir, relativeDistDir, files });
     }
 
@@ -361,7 +1088,7 @@ async function flatten(pkg, flatten, logger, skipSourcemapAdjust) {
 
             // check if file already exists in root
             existsKeys.push(relativePath);
-            existsPromises.push(isExists(relativePath));
+            existsPromises.push(isExists(cwd, relativePath));
         }
     }
 
@@ -387,7 +1114,7 @@ async function flatten(pkg, flatten, logger, skipSourcemapAdjust) {
             if (Object.keys(pkg.directories).length === 0) {
                 pkg.directories = undefined;
             }
-            const files = await readdir(distDir);
+            const files = await readdir(path.resolve(cwd, distDir));
             if (files.length === 1) {
                 pkg.bin = files[0];
             } else {
@@ -404,7 +1131,7 @@ async function flatten(pkg, flatten, logger, skipSourcemapAdjust) {
     for (const [, info] of distDirInfo) {
         for (const file of info.files) {
             const relativePath = path.relative(info.relativeDistDir, file);
-            mkdirPromises.push(mkdir(path.dirname(relativePath), { recursive: true }));
+            mkdirPromises.push(makeDirectory(path.dirname(relativePath), context));
         }
     }
 
@@ -422,7 +1149,8 @@ async function flatten(pkg, flatten, logger, skipSourcemapAdjust) {
             const relativePath = path.relative(info.relativeDistDir, file);
             newFiles.push(relativePath);
             movedFiles.set(relativePath, file);
-            renamePromises.push(rename(file, relativePath));
+            report.movedFiles.push({ from: normalizePath(file), to: relativePath });
+            renamePromises.push(movePath(file, relativePath, context));
         }
     }
 
@@ -442,8 +1170,8 @@ async function flatten(pkg, flatten, logger, skipSourcemapAdjust) {
         const sourcemapFiles = newFiles.filter(f => f.endsWith('.map'));
         for (const newMapPath of sourcemapFiles) {
             const oldMapPath = movedFiles.get(newMapPath);
-            if (oldMapPath) {
-                await adjustSourcemapPaths(newMapPath, oldMapPath, oldToNew);
+            if (oldMapPath && (await adjustSourcemapPaths(cwd, newMapPath, oldMapPath, oldToNew))) {
+                report.sourcemaps.adjusted.push(newMapPath);
             }
         }
     }
@@ -453,8 +1181,8 @@ async function flatten(pkg, flatten, logger, skipSourcemapAdjust) {
     const cleanedDirs = [];
     for (const [, info] of distDirInfo) {
         let cleanedDir = info.relativeDistDir;
-        while (await isEmptyDir(cleanedDir)) {
-            await rm(cleanedDir, { recursive: true, force: true });
+        while (await isEmptyDir(cwd, cleanedDir)) {
+            await removePath(cleanedDir, context);
             const parentDir = path.dirname(cleanedDir);
             if (parentDir === '.') {
                 break;
@@ -468,19 +1196,36 @@ async function flatten(pkg, flatten, logger, skipSourcemapAdjust) {
 
     // update package.json - replace each distDir prefix in references
     const stringsToReplace = distDirs.map(d => `${d}/`);
-    const pkgClone = cloneAndUpdate(pkg, value => {
-        if (!allReferencesSet.has(value)) {
+    /**
+     * @param {string} value
+     * @param {string[]} keyPath
+     * @returns {string}
+     */
+    const rewriteReference = (value, keyPath) => {
+        if (!allReferencesSet.has(value) || keptFiles.has(normalizePath(value))) {
             return value;
         }
         for (const stringToReplace of stringsToReplace) {
             if (value.includes(stringToReplace)) {
-                return value.replace(stringToReplace, '');
+                const newValue = value.replace(stringToReplace, '');
+                report.rewrittenReferences.push({ path: keyPath, from: value, to: newValue });
+                return newValue;
             }
         }
         return value;
-    });
+    };
+    const pkgClone = cloneAndUpdate(pkg, rewriteReference);
     Object.assign(pkg, pkgClone);
 
+    // the keys of `browser` and `react-native` replacement maps are references too, reported with the path of the map
+    const fields = /** @type {Record<string, unknown>} */ (pkg);
+    for (const field of ['browser', 'react-native']) {
+        const map = fields[field];
+        if (typeof map === 'object' && map !== null && !Array.isArray(map)) {
+            fields[field] = Object.fromEntries(Object.entries(map).map(([key, value]) => [rewriteReference(key, [field]), value]));
+        }
+    }
+
     // update files
     let files = pkg.files;
     if (files) {
@@ -493,19 +1238,18 @@ async function flatten(pkg, flatten, logger, skipSourcemapAdjust) {
     }
 
     // remove extra directories with package.json
-    const exports = pkg.exports ? Object.keys(pkg.exports) : [];
+    // only subpath keys, `exports` can also be a string, an array or a map of conditions
+    const exports =
+        typeof pkg.exports === 'object' && pkg.exports !== null ? Object.keys(pkg.exports).filter(key => key.startsWith('./')) : [];
     for (const key of exports) {
-        if (key === '.') {
-            continue;
-        }
-        const isDir = await isDirectory(key);
+        const isDir = await isDirectory(cwd, key);
         if (isDir) {
             const pkgPath = path.join(key, 'package.json');
-            const pkgExists = await isExists(pkgPath);
+            const pkgExists = await isExists(cwd, pkgPath);
             // ensure nothing else is in the directory
-            const files = await readdir(key);
+            const files = await readdir(path.resolve(cwd, key));
             if (files.length === 1 && pkgExists) {
-                await rm(key, { recursive: true, force: true });
+                await removePath(key, context);
             }
         }
     }
@@ -527,21 +1271,22 @@ function normalizePath(file) {
 /**
  * Deep clones an object/array and updates all string values using the updater function
  * @param {unknown} pkg
- * @param {(value: string) => string} updater
+ * @param {(value: string, keyPath: string[]) => string} updater - receives the value and the keys leading to it
+ * @param {string[]} [keyPath=[]]
  * @returns {unknown}
  */
-function cloneAndUpdate(pkg, updater) {
+function cloneAndUpdate(pkg, updater, keyPath = []) {
     if (typeof pkg === 'string') {
-        return updater(pkg);
+        return updater(pkg, keyPath);
     }
     if (Array.isArray(pkg)) {
-        return pkg.map(value => cloneAndUpdate(value, updater));
+        return pkg.map((value, index) => cloneAndUpdate(value, updater, [...keyPath, String(index)]));
     }
     if (typeof pkg === 'object' && pkg !== null) {
         /** @type {Record<string, unknown>} */
         const clone = {};
         for (const key of Object.keys(pkg)) {
-            clone[key] = cloneAndUpdate(/** @type {Record<string, unknown>} */ (pkg)[key], updater);
+            clone[key] = cloneAndUpdate(/** @type {Record<string, unknown>} */ (pkg)[key], updater, [...keyPath, key]);
         }
         return clone;
     }
@@ -552,22 +1297,24 @@ function cloneAndUpdate(pkg, updater) {
  * Adjusts the `sources` (and `sourceRoot`) in a v3 sourcemap file after it has been moved.
  * Resolves each source against the old location, then makes it relative to the new location.
  * If a source target was itself moved during flatten, the new location is used instead.
+ * @param {string} cwd - package directory
  * @param {string} newMapPath - The new path of the .map file (relative to project root).
  * @param {string} oldMapPath - The old path of the .map file (relative to project root).
  * @param {Map<string, string>} oldToNew - Map from normalized old file paths to their new paths.
+ * @returns {Promise<boolean>} whether the file was adjusted
  */
-async function adjustSourcemapPaths(newMapPath, oldMapPath, oldToNew) {
-    const content = await readFile(newMapPath, 'utf8');
+async function adjustSourcemapPaths(cwd, newMapPath, oldMapPath, oldToNew) {
+    const content = await readFile(path.resolve(cwd, newMapPath), 'utf8');
 
     let map;
     try {
         map = JSON.parse(content);
     } catch {
-        return; // not valid JSON, skip
+        return false; // not valid JSON, skip
     }
 
     if (map.version !== 3 || !Array.isArray(map.sources)) {
-        return;
+        return false;
     }
 
     const oldDir = path.dirname(oldMapPath) || '.';
@@ -590,7 +1337,8 @@ async function adjustSourcemapPaths(newMapPath, oldMapPath, oldToNew) {
         delete map.sourceRoot;
     }
 
-    await writeFile(newMapPath, `${JSON.stringify(map, null, 2)}\n`, 'utf8');
+    await writeFile(path.resolve(cwd, newMapPath), `${JSON.stringify(map, null, 2)}\n`, 'utf8');
+    return true;
 }
 
 /**
@@ -604,21 +1352,23 @@ function isSubDirectory(parent, child) {
 }
 
 /**
+ * @param {string} cwd
  * @param {string} dir
  * @returns {Promise<boolean>}
  */
-async function isEmptyDir(dir) {
-    const entries = await readdir(dir, { withFileTypes: true });
+async function isEmptyDir(cwd, dir) {
+    const entries = await readdir(path.resolve(cwd, dir), { withFileTypes: true });
     return entries.filter(entry => !entry.isDirectory()).length === 0;
 }
 
 /**
+ * @param {string} cwd
  * @param {string} file
  * @returns {Promise<boolean>}
  */
-async function isDirectory(file) {
+async function isDirectory(cwd, file) {
     try {
-        const fileStat = await stat(file);
+        const fileStat = await stat(path.resolve(cwd, file));
         return fileStat.isDirectory();
     } catch (e) {
         if (typeof e === 'object' && e != null && 'code' in e && e.code === 'ENOENT') {
@@ -629,12 +1379,14 @@ async function isDirectory(file) {
 }
 
 /**
- * @param {string} dir
+ * Lists all files under a directory, returned paths are relative to `cwd`.
+ * @param {string} cwd
+ * @param {string} dir - relative to `cwd`
  * @param {Array<string>} [ignoreDirs=[]]
  * @returns {Promise<Array<string>>}
  */
-async function walkDir(dir, ignoreDirs = []) {
-    const entries = await readdir(dir, { withFileTypes: true });
+async function walkDir(cwd, dir, ignoreDirs = []) {
+    const entries = await readdir(path.resolve(cwd, dir), { withFileTypes: true });
     /**
      * @type {string[]}
      */
@@ -643,7 +1395,7 @@ async function walkDir(dir, ignoreDirs = []) {
     // Process files first
     for (const entry of entries) {
         if (!entry.isDirectory()) {
-            const childPath = path.join(entry.parentPath, entry.name);
+            const childPath = path.join(dir, entry.name);
             files.push(childPath);
         }
     }
@@ -651,12 +1403,10 @@ async function walkDir(dir, ignoreDirs = []) {
     // Then process directories
     for (const entry of entries) {
         if (entry.isDirectory()) {
-            const childPath = path.join(entry.parentPath, entry.name);
-            const relativePath = path.relative(dir, childPath);
-            const topLevelDir = relativePath.split(path.sep)[0];
+            const childPath = path.join(dir, entry.name);
 
-            if (!ignoreDirs.includes(topLevelDir)) {
-                const childFiles = await walkDir(childPath);
+            if (!ignoreDirs.includes(entry.name)) {
+                const childFiles = await walkDir(cwd, childPath);
                 files.push(...childFiles);
             }
         }
@@ -666,11 +1416,97 @@ async function walkDir(dir, ignoreDirs = []) {
 }
 
 /**
+ * Removes a file or directory, recording every removed file in the report. Files matched by the `keep` option are
+ * recorded as kept instead, a directory containing them is only emptied of the other files.
+ * @param {string} file
+ * @param {PruneContext} context
+ */
+async function removePath(file, context) {
+    const { cwd, report } = context;
+    const isDir = await isDirectory(cwd, file);
+    const removed = isDir ? await walkDir(cwd, file) : [file];
+    const kept = removed.map(normalizePath).filter(context.isKept);
+    if (kept.length || context.isKept(normalizePath(file))) {
+        report.keptFiles.push(...kept.filter(keptFile => !report.keptFiles.includes(keptFile)));
+        if (isDir && kept.length) {
+            for (const entry of await readdir(path.resolve(cwd, file))) {
+                await removePath(path.join(file, entry), context);
+            }
+        }
+        return;
+    }
+    for (const removedFile of removed) {
+        const { size } = await lstat(path.resolve(cwd, removedFile));
+        report.deletedFiles.push({ file: normalizePath(removedFile), size });
+    }
+    if (context.backup) {
+        await backupPath(context.backup, file);
+    }
+    await rm(path.resolve(cwd, file), { recursive: true, force: true });
+}
+
+/**
+ * Moves a file, keeping the original in the backup.
+ * @param {string} from
+ * @param {string} to
+ * @param {PruneContext} context
+ */
+async function movePath(from, to, context) {
+    if (context.backup) {
+        await backupPath(context.backup, from);
+        markCreated(context.backup, to);
+    }
+    await rename(path.resolve(context.cwd, from), path.resolve(context.cwd, to));
+}
+
+/**
+ * Rewrites a file, keeping the original in the backup.
+ * @param {string} file
+ * @param {string} content
+ * @param {PruneContext} context
+ */
+async function updateFile(file, content, context) {
+    if (context.backup) {
+        await backupPath(context.backup, file);
+    }
+    await writeFile(path.resolve(context.cwd, file), content, 'utf8');
+}
+
+/**
+ * Creates a directory (with parents) and records the created part in the backup.
+ * @param {string} dir
+ * @param {PruneContext} context
+ */
+async function makeDirectory(dir, context) {
+    const created = await mkdir(path.resolve(context.cwd, dir), { recursive: true });
+    if (created && context.backup) {
+        markCreated(context.backup, path.relative(context.cwd, created));
+    }
+}
+
+/**
+ * @param {string} cwd
+ * @param {string} file
+ * @returns {Promise<boolean>}
+ */
+async function isFile(cwd, file) {
+    try {
+        return (await stat(path.resolve(cwd, file))).isFile();
+    } catch (e) {
+        if (typeof e === 'object' && e != null && 'code' in e && (e.code === 'ENOENT' || e.code === 'ENOTDIR')) {
+            return false;
+        }
+        throw e;
+    }
+}
+
+/**
+ * @param {string} cwd
  * @param {string} file
  */
-async function isExists(file) {
+async function isExists(cwd, file) {
     try {
-        await access(file);
+        await access(path.resolve(cwd, file));
     } catch (e) {
         if (typeof e === 'object' && e != null && 'code' in e && e.code === 'ENOENT') {
             return false;
@@ -702,6 +1538,16 @@ function getAlwaysIncludedFiles(pkg) {
     return files;
 }
 
+/**
+ * Files that cleanup never removes: the always-included files and the targets of the alternative entry points
+ * (`browser`, `style`, etc.), which npm does not include on its own.
+ * @param {PackageJson} pkg
+ * @returns {string[]}
+ */
+function getProtectedFiles(pkg) {
+    return [...getAlwaysIncludedFiles(pkg), ...extractAlternativeEntries(pkg).map(normalizePath)];
+}
+
 /**
  * Checks whether a file or directory name matches the always-ignored patterns.
  * @param {string} basename - The basename of the file or directory.
@@ -717,18 +1563,19 @@ function isAlwaysIgnored(basename) {
 /**
  * Recursively removes junk files (always-ignored by npm) from a directory tree.
  * @param {string} dir
+ * @param {PruneContext} context
  */
-async function removeJunkFiles(dir) {
-    const entries = await readdir(dir, { withFileTypes: true });
+async function removeJunkFiles(dir, context) {
+    const entries = await readdir(path.resolve(context.cwd, dir), { withFileTypes: true });
     for (const entry of entries) {
         if (hardIgnored.has(entry.name)) {
             continue;
         }
         const fullPath = path.join(dir, entry.name);
         if (isAlwaysIgnored(entry.name)) {
-            await rm(fullPath, { recursive: true, force: true });
+            await removePath(fullPath, context);
         } else if (entry.isDirectory()) {
-            await removeJunkFiles(fullPath);
+            await removeJunkFiles(fullPath, context);
         }
     }
 }
@@ -759,69 +1606,197 @@ function isGlobPattern(str) {
 /**
  * Expands glob patterns in the files array using Node's built-in fs.glob.
  * Non-glob entries are passed through unchanged.
+ *
+ * With negated (`!`) entries the entries are applied in order, as npm does: every entry is expanded to the files it
+ * includes and a negated entry removes the files matched so far. The result then lists files instead of directories.
+ * @param {string} cwd
  * @param {string[]} files
  * @returns {Promise<string[]>}
  */
-async function expandFileGlobs(files) {
-    /** @type {string[]} */
-    const result = [];
+async function expandFileGlobs(cwd, files) {
+    if (!files.some(entry => entry.startsWith('!'))) {
+        /** @type {string[]} */
+        const result = [];
+        for (const entry of files) {
+            result.push(...(isGlobPattern(entry) ? await globFiles(cwd, entry) : [entry]));
+        }
+        return [...new Set(result)];
+    }
+
+    /** @type {Set<string>} */
+    const result = new Set();
     for (const entry of files) {
-        if (isGlobPattern(entry)) {
-            for await (const match of fsGlob(entry)) {
-                result.push(normalizePath(match));
+        if (entry.startsWith('!')) {
+            const isExcluded = createPathMatcher(entry.slice(1));
+            for (const file of result) {
+                if (isExcluded(file)) {
+                    result.delete(file);
+                }
             }
-        } else {
-            result.push(entry);
+            continue;
         }
+        const matches = isGlobPattern(entry) ? await globFiles(cwd, entry) : [entry];
+        for (const match of matches) {
+            if (await isDirectory(cwd, match)) {
+                for (const file of await walkDir(cwd, match)) {
+                    result.add(normalizePath(file));
+                }
+            } else {
+                // missing entries are kept, reference validation reports them
+                result.add(normalizePath(match));
+            }
+        }
+    }
+    return [...result];
+}
+
+/**
+ * @param {string} cwd
+ * @param {string} pattern
+ * @returns {Promise<string[]>}
+ */
+async function globFiles(cwd, pattern) {
+    /** @type {string[]} */
+    const result = [];
+    for await (const match of fsGlob(pattern, { cwd })) {
+        result.push(normalizePath(match));
+    }
+    return result;
+}
+
+/**
+ * Creates a matcher for a negated `files` entry or a `keep` pattern. As in `.gitignore`, a file matches when the
+ * pattern matches it or one of its parent directories, and a pattern without `/` matches names at any depth.
+ * @param {string} pattern - without the leading `!`
+ * @returns {(file: string) => boolean}
+ */
+function createPathMatcher(pattern) {
+    const normalized = normalizePath(pattern);
+    const regExp = globToRegExp(normalized);
+    const matchesName = !normalized.includes('/');
+    return file => {
+        const segments = file.split('/');
+        return segments.some(
+            (segment, index) => regExp.test(segments.slice(0, index + 1).join('/')) || (matchesName && regExp.test(segment))
+        );
+    };
+}
+
+/**
+ * @param {string[]} patterns - `keep` option
+ * @returns {(file: string) => boolean}
+ */
+function createKeepMatcher(patterns) {
+    const matchers = patterns.map(createPathMatcher);
+    return file => matchers.some(matches => matches(file));
+}
+
+/**
+ * Checks a path against the `files` entries and the always-included files.
+ * @param {string} file - path relative to the package directory
+ * @param {string[]} filesEntries - normalized `files` entries
+ * @param {string[]} alwaysIncludedFiles
+ * @returns {'included' | 'partial' | 'excluded'} `partial` for directories that contain included paths
+ */
+function matchFilesEntries(file, filesEntries, alwaysIncludedFiles) {
+    const normalized = normalizePath(file);
+
+    // matched by files entries (exact or parent directory)
+    if (filesEntries.some(f => normalized === f || normalized.startsWith(`${f}/`))) {
+        return 'included';
     }
-    return [...new Set(result)];
+
+    // some files entry or always-included file is under this directory
+    if (filesEntries.some(f => f.startsWith(`${normalized}/`)) || alwaysIncludedFiles.some(f => f.startsWith(`${normalized}/`))) {
+        return 'partial';
+    }
+
+    // always-included by exact path or by basename (root level)
+    if (alwaysIncludedFiles.includes(normalized) || isAlwaysIncludedByBasename(normalized)) {
+        return 'included';
+    }
+
+    return 'excluded';
+}
+
+/**
+ * Copies the files npm would publish to another directory.
+ * @param {PackageJson} pkg
+ * @param {string} from - package directory
+ * @param {string} to
+ * @param {(file: string) => boolean} isKept - matches the files protected by the `keep` option
+ */
+async function copyPublishedFiles(pkg, from, to, isKept) {
+    const files = await listStagedFiles(pkg, from, isKept);
+    await mkdir(to, { recursive: true });
+    for (const file of files) {
+        await cp(path.join(from, file), path.join(to, file), { preserveTimestamps: true });
+    }
+}
+
+/**
+ * Lists the files copied to the out dir: the published files, and the protected and kept files that cleanup would keep
+ * in the package directory.
+ * @param {PackageJson} pkg
+ * @param {string} cwd - package directory
+ * @param {(file: string) => boolean} isKept
+ * @returns {Promise<string[]>} paths relative to the package directory
+ */
+async function listStagedFiles(pkg, cwd, isKept) {
+    return [...new Set([...(await listFiles(pkg, cwd, getProtectedFiles(pkg))), ...(await listWorkingFiles(cwd, isKept))])];
+}
+
+/**
+ * Lists the files in the working directory that match the filter, files that npm never publishes are skipped.
+ * @param {string} cwd
+ * @param {(file: string) => boolean} filter
+ * @param {string} [dir]
+ * @returns {Promise<string[]>} paths relative to `cwd`
+ */
+async function listWorkingFiles(cwd, filter, dir = '.') {
+    /** @type {string[]} */
+    const result = [];
+    for (const entry of await readdir(path.resolve(cwd, dir), { withFileTypes: true })) {
+        if (hardIgnored.has(entry.name)) {
+            continue;
+        }
+        const file = normalizePath(path.join(dir, entry.name));
+        if (entry.isDirectory()) {
+            result.push(...(await listWorkingFiles(cwd, filter, file)));
+        } else if (filter(file)) {
+            result.push(file);
+        }
+    }
+    return result;
 }
 
 /**
  * Removes files from the working directory that are not included in the `files` array
  * or the always-included list, then drops the `files` array from package.json.
  * @param {PackageJson} pkg
- * @param {Logger} logger
+ * @param {PruneContext} context
  */
-async function cleanupDir(pkg, logger) {
-    logger.update('cleaning up files...');
+async function cleanupDir(pkg, context) {
+    context.logger.update('cleaning up files...');
 
-    const alwaysIncludedFiles = getAlwaysIncludedFiles(pkg);
+    const alwaysIncludedFiles = getProtectedFiles(pkg);
     const filesEntries = /** @type {string[]} */ (pkg.files).map(normalizePath);
 
-    const entries = await readdir('.');
+    const entries = await readdir(context.cwd);
 
     for (const entry of entries) {
         if (hardIgnored.has(entry)) {
             continue;
         }
 
-        const normalized = normalizePath(entry);
+        const match = matchFilesEntries(entry, filesEntries, alwaysIncludedFiles);
 
-        // check if matched by files entries (exact or parent directory)
-        if (filesEntries.some(f => normalized === f || normalized.startsWith(`${f}/`))) {
-            continue;
-        }
-
-        // check if any files entry is under this directory
-        if (filesEntries.some(f => f.startsWith(`${normalized}/`))) {
+        if (match === 'partial') {
             // need to recurse into this directory for granular cleanup
-            await cleanupSubDir(normalized, filesEntries, alwaysIncludedFiles);
-            continue;
-        }
-
-        // check if always-included by exact path
-        if (alwaysIncludedFiles.includes(normalized)) {
-            continue;
-        }
-
-        // check if always-included by basename (root level)
-        if (isAlwaysIncludedByBasename(normalized)) {
-            continue;
+            await cleanupSubDir(normalizePath(entry), filesEntries, alwaysIncludedFiles, context);
+        } else if (match === 'excluded') {
+            await removePath(entry, context);
         }
-
-        // not matched - remove
-        await rm(entry, { recursive: true, force: true });
     }
 }
 
@@ -831,9 +1806,10 @@ async function cleanupDir(pkg, logger) {
  * @param {string} dir
  * @param {string[]} filesEntries
  * @param {string[]} alwaysIncludedFiles
+ * @param {PruneContext} context
  */
-async function cleanupSubDir(dir, filesEntries, alwaysIncludedFiles) {
-    const entries = await readdir(dir);
+async function cleanupSubDir(dir, filesEntries, alwaysIncludedFiles, context) {
+    const entries = await readdir(path.resolve(context.cwd, dir));
 
     for (const entry of entries) {
         if (hardIgnored.has(entry)) {
@@ -842,33 +1818,231 @@ async function cleanupSubDir(dir, filesEntries, alwaysIncludedFiles) {
 
         const fullPath = path.join(dir, entry);
 
-        const normalized = normalizePath(fullPath);
+        const match = matchFilesEntries(fullPath, filesEntries, alwaysIncludedFiles);
 
-        // check if matched by files entries
-        if (filesEntries.some(f => normalized === f || normalized.startsWith(`${f}/`))) {
-            continue;
+        if (match === 'partial') {
+            await cleanupSubDir(normalizePath(fullPath), filesEntries, alwaysIncludedFiles, context);
+        } else if (match === 'excluded') {
+            await removePath(fullPath, context);
         }
+    }
 
-        // check if any files entry is under this path
-        if (filesEntries.some(f => f.startsWith(`${normalized}/`))) {
-            await cleanupSubDir(normalized, filesEntries, alwaysIncludedFiles);
-            continue;
+    // remove the directory if it's now empty
+    const remaining = await readdir(path.resolve(context.cwd, dir));
+    if (remaining.length === 0) {
+        await removePath(dir, context);
+    }
+}
+
+/**
+ * Without a `files` array npm publishes everything that is not excluded by `.npmignore` / `.gitignore` files,
+ * removes the excluded files and the ignore files themselves.
+ * @param {PackageJson} pkg
+ * @param {PruneContext} context
+ */
+async function cleanupIgnoredFiles(pkg, context) {
+    /** @type {string[]} */
+    const ignoredFiles = [];
+    for await (const { file, ignored } of walkIgnoreRules(context.cwd, getProtectedFiles(pkg))) {
+        if (ignored) {
+            ignoredFiles.push(file);
         }
+    }
 
-        // check if always-included by exact path
-        if (alwaysIncludedFiles.includes(normalized)) {
+    if (ignoredFiles.length === 0) {
+        return;
+    }
+
+    context.logger.update('cleaning up files...');
+
+    for (const file of ignoredFiles) {
+        await removePath(file, context);
+    }
+
+    await removeEmptyParents(ignoredFiles, context);
+}
+
+/**
+ * Removes the published files matching the test patterns together with their sourcemaps and declaration files, and
+ * drops the removed paths from the `files` array.
+ * @param {PackageJson} pkg
+ * @param {string[]} patterns - patterns without `/` match names at any depth, a matching directory is removed entirely
+ * @param {PruneContext} context
+ */
+async function removeTestFiles(pkg, patterns, context) {
+    const { cwd } = context;
+    const matchers = patterns.map(createPathMatcher);
+    const protectedFiles = getProtectedFiles(pkg);
+    const publishedFiles = (await listFiles(pkg, cwd, protectedFiles)).map(normalizePath);
+    // an exported test helper or story is part of the package
+    const keptFiles = new Set([...protectedFiles, ...getReferencedFiles(pkg, publishedFiles)]);
+
+    /** @type {Set<string>} */
+    const testFiles = new Set();
+    for (const file of publishedFiles) {
+        if (!keptFiles.has(file) && matchers.some(matches => matches(file))) {
+            testFiles.add(file);
+            // also when the `files` array does not list them
+            for (const companion of getCompanionFiles(file)) {
+                if (!keptFiles.has(companion) && (await isFile(cwd, companion))) {
+                    testFiles.add(companion);
+                }
+            }
+        }
+    }
+
+    if (testFiles.size === 0) {
+        return;
+    }
+
+    context.logger.update('removing tests...');
+
+    for (const file of testFiles) {
+        await removePath(file, context);
+    }
+
+    const removed = new Set([...testFiles, ...(await removeEmptyParents([...testFiles], context))]);
+
+    if (Array.isArray(pkg.files)) {
+        /** @type {string[]} */
+        const files = [];
+        for (const entry of pkg.files) {
+            // kept files are not removed
+            if (!removed.has(normalizePath(entry)) || (await isExists(cwd, entry))) {
+                files.push(entry);
+            }
+        }
+        pkg.files = files;
+    }
+}
+
+/**
+ * @param {string} file
+ * @returns {string[]} the sourcemap and the declaration files generated next to a compiled file
+ */
+function getCompanionFiles(file) {
+    const companions = [`${file}.map`];
+    const match = /\.([mc]?)jsx?$/.exec(file);
+    if (match) {
+        const declaration = `${file.slice(0, match.index)}.d.${match[1]}ts`;
+        companions.push(declaration, `${declaration}.map`);
+    }
+    return companions;
+}
+
+/**
+ * Removes the directories left empty by removing the files.
+ * @param {string[]} files - removed files
+ * @param {PruneContext} context
+ * @returns {Promise<string[]>} the removed directories
+ */
+async function removeEmptyParents(files, context) {
+    /** @type {string[]} */
+    const removed = [];
+    for (const file of files) {
+        let dir = path.dirname(file);
+        while (dir !== '.' && (await isExists(context.cwd, dir)) && (await readdir(path.resolve(context.cwd, dir))).length === 0) {
+            await removePath(dir, context);
+            removed.push(normalizePath(dir));
+            dir = path.dirname(dir);
+        }
+    }
+    return removed;
+}
+
+/**
+ * Walks the package directory the way npm does without a `files` array: the rules of the ignore file of every
+ * directory apply to everything below it, and ignored directories are only entered when they contain protected files.
+ * Yields files, and ignored directories that are not entered.
+ * @param {string} cwd
+ * @param {string[]} protectedFiles - files included even when they are ignored
+ * @param {string} [dir]
+ * @param {import('./ignore.js').IgnoreRule[]} [parentRules]
+ * @param {boolean} [inIgnoredDir] - the directory is ignored and only entered for its protected files
+ * @returns {AsyncGenerator<{ file: string, ignored: boolean }>}
+ */
+async function* walkIgnoreRules(cwd, protectedFiles, dir = '.', parentRules = [], inIgnoredDir = false) {
+    const rules = [...parentRules, ...(await readIgnoreRules(cwd, dir))];
+    const entries = await readdir(path.resolve(cwd, dir), { withFileTypes: true });
+    for (const entry of entries) {
+        if (hardIgnored.has(entry.name) || isAlwaysIgnored(entry.name)) {
             continue;
         }
+        const file = normalizePath(path.join(dir, entry.name));
+        if (protectedFiles.includes(file) || isAlwaysIncludedByBasename(file)) {
+            yield { file, ignored: false };
+            continue;
+        }
+        const isDir = entry.isDirectory();
+        // ignore files are never published
+        const ignored = inIgnoredDir || ignoreFileNames.includes(entry.name) || isIgnored(rules, file, isDir);
+        if (isDir && (!ignored || protectedFiles.some(protectedFile => protectedFile.startsWith(`${file}/`)))) {
+            yield* walkIgnoreRules(cwd, protectedFiles, file, rules, ignored);
+        } else {
+            yield { file, ignored };
+        }
+    }
+}
 
-        // not matched - remove
-        await rm(fullPath, { recursive: true, force: true });
+/**
+ * Reads the rules of the ignore file npm uses in the directory: `.npmignore`, or `.gitignore` when there is none.
+ * @param {string} cwd
+ * @param {string} dir
+ * @returns {Promise<import('./ignore.js').IgnoreRule[]>}
+ */
+async function readIgnoreRules(cwd, dir) {
+    for (const name of ignoreFileNames) {
+        try {
+            return parseIgnoreFile(await readFile(path.resolve(cwd, dir, name), 'utf8'), dir);
+        } catch (e) {
+            if (typeof e === 'object' && e != null && 'code' in e && (e.code === 'ENOENT' || e.code === 'EISDIR')) {
+                continue;
+            }
+            throw e;
+        }
     }
+    return [];
+}
 
-    // remove the directory if it's now empty
-    const remaining = await readdir(dir);
-    if (remaining.length === 0) {
-        await rm(dir, { recursive: true, force: true });
+/**
+ * Returns the filter for scripts kept by a built-in or custom profile.
+ * @param {string} profile
+ * @param {Record<string, ProfileDefinition>} [profiles={}] - custom profiles
+ * @returns {(script: string) => boolean}
+ */
+function getScriptFilter(profile, profiles = {}) {
+    const scriptsToKeep = getScriptsData();
+
+    for (const name of Object.keys(profiles)) {
+        if (Object.hasOwn(scriptsToKeep, name)) {
+            throw new Error(`custom profile ${name} conflicts with the built-in profile`);
+        }
+    }
+
+    if (Object.hasOwn(scriptsToKeep, profile)) {
+        const keys = scriptsToKeep[/** @type {'library'|'app'} */ (profile)];
+        return script => keys.has(script);
+    }
+
+    if (!Object.hasOwn(profiles, profile)) {
+        throw new Error(`unknown profile ${profile}`);
     }
+
+    const definition = profiles[profile];
+
+    /** @type {Set<string>} */
+    let keys = new Set();
+    if (definition.extends !== undefined) {
+        if (!Object.hasOwn(scriptsToKeep, definition.extends)) {
+            throw new Error(`profile ${profile} extends unknown profile ${definition.extends}`);
+        }
+        keys = scriptsToKeep[/** @type {'library'|'app'} */ (definition.extends)];
+    }
+
+    const isKept = createMatcher(definition.keep ?? []);
+    const isRemoved = createMatcher(definition.remove ?? []);
+
+    return script => !isRemoved(script) && (keys.has(script) || isKept(script));
 }
 
 function getScriptsData() {
@@ -0,0 +1,156 @@
+import { brotliCompressSync, constants, gzipSync } from 'node:zlib';
+
+import { globToRegExp } from './glob.js';
+
+/**
+ * Units accepted by `parseSize`, decimal like the sizes npm reports.
+ * @type {Record<string, number>}
+ */
+const units = { b: 1, kb: 1000, mb: 1000 * 1000, gb: 1000 * 1000 * 1000 };
+
+/**
+ * @typedef {Object} FileSize
+ * @property {string} file - path relative to the package directory, with `/` separators
+ * @property {number} size - bytes
+ */
+
+/**
+ * @typedef {Object} CompressedSize
+ * @property {number} size - bytes
+ * @property {number} gzip - bytes after gzip
+ * @property {number} brotli - bytes after brotli
+ */
+
+/**
+ * @typedef {Object} SizeTotals
+ * @property {string} step - pipeline step after which the files were measured
+ * @property {number} files - number of files
+ * @property {number} size - bytes
+ * @property {number} gzip - sum of the gzip sizes of the files
+ * @property {number} brotli - sum of the brotli sizes of the files
+ */
+
+/**
+ * @typedef {Object} SizeLimits
+ * @property {number} [maxSize] - total unpacked size
+ * @property {number} [maxFileSize] - size of every file
+ * @property {Record<string, number>} [budgets] - glob pattern -> size of every matching file, patterns without `/` match names
+ */
+
+/**
+ * Parses a size: a number of bytes, or a string with an optional `b`, `kb`, `mb` or `gb` unit (e.g. `200kb`, `1.5 MB`).
+ * @param {number|string} value
+ * @returns {number} bytes
+ */
+export function parseSize(value) {
+    if (typeof value === 'number') {
+        if (Number.isFinite(value) && value >= 0) {
+            return value;
+        }
+    } else {
+        const match = /^(\d+(?:\.\d+)?)\s*([kmg]?b)?$/i.exec(value.trim());
+        if (match) {
+            return Math.round(Number(match[1]) * units[(match[2] ?? 'b').toLowerCase()]);
+        }
+    }
+    throw new Error(`invalid size ${value}`);
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatSize(bytes) {
+    if (bytes < 1000) {
+        return `${bytes} B`;
+    }
+    if (bytes < 1000 * 1000) {
+        return `${(bytes / 1000).toFixed(1)} kB`;
+    }
+    return `${(bytes / 1000 / 1000).toFixed(1)} MB`;
+}
+
+/**
+ * Checks the files against the size limits.
+ * @param {FileSize[]} files
+ * @param {SizeLimits} limits
+ * @returns {string[]} descriptions of the exceeded limits
+ */
+export function findExceededSizeLimits(files, { maxSize, maxFileSize, budgets = {} }) {
+    /** @type {string[]} */
+    const exceeded = [];
+
+    const total = files.reduce((sum, { size }) => sum + size, 0);
+    if (maxSize !== undefined && total > maxSize) {
+        exceeded.push(`unpacked size ${formatSize(total)} > ${formatSize(maxSize)}`);
+    }
+
+    const budgetMatchers = Object.entries(budgets).map(([pattern, limit]) => ({ pattern, limit, regExp: globToRegExp(pattern) }));
+
+    for (const { file, size } of files) {
+        if (maxFileSize !== undefined && size > maxFileSize) {
+            exceeded.push(`${file} ${formatSize(size)} > ${formatSize(maxFileSize)}`);
+        }
+        for (const { pattern, limit, regExp } of budgetMatchers) {
+            const subject = pattern.includes('/') ? file : file.slice(file.lastIndexOf('/') + 1);
+            if (size > limit && regExp.test(subject)) {
+                exceeded.push(`${file} ${formatSize(size)} > ${formatSize(limit)} (${pattern})`);
+            }
+        }
+    }
+
+    return exceeded;
+}
+
+/**
+ * Sums the sizes of the files in every directory, subdirectories included.
+ * @param {FileSize[]} files
+ * @returns {FileSize[]} directories, largest first
+ */
+export function getDirectorySizes(files) {
+    /** @type {Map<string, number>} */
+    const sizes = new Map();
+    for (const { file, size } of files) {
+        const segments = file.split('/');
+        for (let i = 1; i < segments.length; ++i) {
+            const dir = segments.slice(0, i).join('/');
+            sizes.set(dir, (sizes.get(dir) ?? 0) + size);
+        }
+    }
+    return [...sizes].map(([file, size]) => ({ file, size })).sort((a, b) => b.size - a.size);
+}
+
+/**
+ * Measures the content and its gzip and brotli compressed sizes with the default compression levels.
+ * @param {Buffer} content
+ * @returns {CompressedSize}
+ */
+export function getCompressedSize(content) {
+    return {
+        size: content.length,
+        gzip: gzipSync(content).length,
+        brotli: brotliCompressSync(content, { params: { [constants.BROTLI_PARAM_SIZE_HINT]: content.length } }).length,
+    };
+}
+
+/**
+ * Formats the size totals of the pipeline steps as a table with right-aligned numbers.
+ * @param {SizeTotals[]} steps
+ * @returns {string[]} lines
+ */
+export function formatSizeTable(steps) {
+    const rows = [
+        ['step', 'files', 'size', 'gzip', 'brotli'],
+        ...steps.map(({ step, files, size, gzip, brotli }) => [
+            step,
+            String(files),
+            formatSize(size),
+            formatSize(gzip),
+            formatSize(brotli),
+        ]),
+    ];
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    return rows.map(row =>
+        row.map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join('  ')
+    );
+}
@@ -15,6 +15,7 @@ import { decode, encode } from '@jridgewell/sourcemap-codec';
  * @typedef {Object} StripResult
  * @property {string} result - The stripped source text
  * @property {Int32Array | null} lineMap - Maps 0-based original line → 0-based new line (-1 if removed). null when nothing changed.
+ * @property {Partial<Record<CommentType, number>>} removed - Number of removed comments per type
  */
 
 const jsExtensions = ['.js', '.mjs', '.cjs'];
@@ -497,12 +498,18 @@ export function stripComments(source, typesToStrip) {
 export function stripCommentsWithLineMap(source, typesToStrip) {
     const comments = scanComments(source);
 
-    if (comments.length === 0) return { result: source, lineMap: null };
+    if (comments.length === 0) return { result: source, lineMap: null, removed: {} };
 
     // Filter to only the comments we want to remove.
     const toRemove = comments.filter(c => typesToStrip.has(c.type));
 
-    if (toRemove.length === 0) return { result: source, lineMap: null };
+    if (toRemove.length === 0) return { result: source, lineMap: null, removed: {} };
+
+    /** @type {Partial<Record<CommentType, number>>} */
+    const removed = {};
+    for (const { type } of toRemove) {
+        removed[type] = (removed[type] ?? 0) + 1;
+    }
 
     // Build output by copying non-removed ranges.
     /** @type {string[]} */
@@ -641,7 +648,7 @@ export function stripCommentsWithLineMap(source, typesToStrip) {
         }
     }
 
-    return { result, lineMap };
+    return { result, lineMap, removed };
 }
 
 /**
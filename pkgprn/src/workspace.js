@@ -0,0 +1,255 @@
+import { glob, readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { createMatcher } from './glob.js';
+import { parseYaml } from './yaml.js';
+
+/**
+ * Dependency fields that are published, `devDependencies` are removed anyway.
+ */
+const dependencyFields = /** @type {const} */ (['dependencies', 'peerDependencies', 'optionalDependencies']);
+
+const workspaceProtocol = 'workspace:';
+const catalogProtocol = 'catalog:';
+
+/**
+ * Keys of `pnpm-workspace.yaml` that are used, the rest of the file is not parsed.
+ */
+const pnpmConfigKeys = ['packages', 'catalog', 'catalogs'];
+
+/**
+ * @typedef {Object} Workspace
+ * @property {string} root - absolute path of the workspace root
+ * @property {Record<string, unknown>} [pnpmConfig] - `packages`, `catalog` and `catalogs` of `pnpm-workspace.yaml`, undefined for `workspaces` in package.json
+ * @property {Map<string, string>} packages - versions of the workspace packages by name
+ */
+
+/**
+ * Finds the workspace the directory belongs to: the closest directory (starting with `dir` itself) with a
+ * `pnpm-workspace.yaml` or a package.json with a `workspaces` field.
+ * @param {string} dir
+ * @returns {Promise<Workspace | undefined>}
+ */
+export async function findWorkspace(dir) {
+    let current = path.resolve(dir);
+    for (;;) {
+        const pnpmConfigFile = path.join(current, 'pnpm-workspace.yaml');
+        const pnpmConfigText = await readOptional(pnpmConfigFile);
+        if (pnpmConfigText !== undefined) {
+            let pnpmConfig;
+            try {
+                pnpmConfig = parseYaml(pnpmConfigText, pnpmConfigKeys);
+            } catch (e) {
+                throw new Error(`could not parse ${pnpmConfigFile}: ${e instanceof Error ? e.message : String(e)}`);
+            }
+            const config = isObject(pnpmConfig) ? pnpmConfig : {};
+            return { root: current, pnpmConfig: config, packages: await readWorkspacePackages(current, toPatterns(config.packages)) };
+        }
+
+        const pkg = parseJson(await readOptional(path.join(current, 'package.json')));
+        if (pkg?.workspaces !== undefined) {
+            // yarn also supports `{ "packages": [...] }`
+            const patterns = toPatterns(isObject(pkg.workspaces) ? pkg.workspaces.packages : pkg.workspaces);
+            return { root: current, packages: await readWorkspacePackages(current, patterns) };
+        }
+
+        const parent = path.dirname(current);
+        if (parent === current) {
+            return undefined;
+        }
+        current = parent;
+    }
+}
+
+/**
+ * Replaces `workspace:` and `catalog:` ranges in published dependency fields with concrete versions.
+ *
+ * `workspace:*` becomes `1.2.3`, `workspace:^` becomes `^1.2.3`, `workspace:~` becomes `~1.2.3`,
+ * explicit ranges like `workspace:^1.0.0` lose the prefix and aliases like `workspace:foo@*` become `npm:foo@1.2.3`.
+ * `catalog:` and `catalog:name` are looked up in the `catalog` and `catalogs` of `pnpm-workspace.yaml`.
+ * @param {import('./prune.js').PackageJson} pkg
+ * @param {string} cwd - package directory
+ */
+export async function resolveDependencyRanges(pkg, cwd) {
+    /** @type {Workspace | undefined} */
+    let workspace;
+    let searched = false;
+
+    for (const field of dependencyFields) {
+        const dependencies = pkg[field];
+        if (!isObject(dependencies)) {
+            continue;
+        }
+        for (const [name, spec] of Object.entries(dependencies)) {
+            if (typeof spec !== 'string' || !(spec.startsWith(workspaceProtocol) || spec.startsWith(catalogProtocol))) {
+                continue;
+            }
+            if (!searched) {
+                workspace = await findWorkspace(cwd);
+                searched = true;
+            }
+            if (spec.startsWith(catalogProtocol)) {
+                dependencies[name] = resolveCatalogRange(name, spec.slice(catalogProtocol.length), field, workspace);
+                continue;
+            }
+            if (!workspace) {
+                throw new Error(`cannot resolve ${name}@${spec} in ${field}: no workspace root found`);
+            }
+            dependencies[name] = await resolveWorkspaceRange(name, spec.slice(workspaceProtocol.length), field, workspace, cwd);
+        }
+    }
+}
+
+/**
+ * @param {string} name - dependency name
+ * @param {string} catalogName - catalog name without the `catalog:` prefix, empty for the default catalog
+ * @param {string} field
+ * @param {Workspace | undefined} workspace
+ * @returns {string}
+ */
+function resolveCatalogRange(name, catalogName, field, workspace) {
+    const spec = `${name}@${catalogProtocol}${catalogName}`;
+    if (!workspace?.pnpmConfig) {
+        throw new Error(`cannot resolve ${spec} in ${field}: no pnpm-workspace.yaml found`);
+    }
+
+    const { catalog, catalogs } = workspace.pnpmConfig;
+    const named = isObject(catalogs) ? catalogs : {};
+    // `catalog:` and `catalog:default` both refer to the top-level `catalog`, which can also be written as `catalogs.default`
+    const entries = catalogName === '' || catalogName === 'default' ? (isObject(catalog) ? catalog : named.default) : named[catalogName];
+    const label = catalogName === '' ? 'the default catalog' : `catalog ${catalogName}`;
+
+    if (!isObject(entries)) {
+        throw new Error(`cannot resolve ${spec} in ${field}: ${label} is not defined in pnpm-workspace.yaml`);
+    }
+    const range = entries[name];
+    if (typeof range !== 'string') {
+        throw new Error(`cannot resolve ${spec} in ${field}: ${name} is not in ${label}`);
+    }
+    return range;
+}
+
+/**
+ * @param {string} name - dependency name
+ * @param {string} range - range without the `workspace:` prefix
+ * @param {string} field
+ * @param {Workspace} workspace
+ * @param {string} cwd - package directory
+ * @returns {Promise<string>}
+ */
+async function resolveWorkspaceRange(name, range, field, workspace, cwd) {
+    const spec = `${name}@${workspaceProtocol}${range}`;
+
+    // workspace:../sibling
+    if (range.startsWith('.') || range.startsWith('/')) {
+        const pkg = parseJson(await readOptional(path.resolve(cwd, range, 'package.json')));
+        if (typeof pkg?.version !== 'string') {
+            throw new Error(`cannot resolve ${spec} in ${field}: no package with a version found at ${range}`);
+        }
+        return pkg.version;
+    }
+
+    // workspace:foo@^ (alias)
+    const alias = /^(@?[^@]+)@(.*)$/.exec(range);
+    const target = alias ? alias[1] : name;
+    const targetRange = alias ? alias[2] : range;
+
+    const version = workspace.packages.get(target);
+    if (version === undefined) {
+        throw new Error(`cannot resolve ${spec} in ${field}: package ${target} is not in the workspace`);
+    }
+
+    let resolved;
+    if (targetRange === '*' || targetRange === '') {
+        resolved = version;
+    } else if (targetRange === '^' || targetRange === '~') {
+        resolved = `${targetRange}${version}`;
+    } else {
+        resolved = targetRange;
+    }
+
+    return alias ? `npm:${target}@${resolved}` : resolved;
+}
+
+/**
+ * Reads the names and versions of the workspace packages, including the root package.
+ * @param {string} root
+ * @param {string[]} patterns - workspace globs, negated with `!`
+ * @returns {Promise<Map<string, string>>}
+ */
+async function readWorkspacePackages(root, patterns) {
+    const normalized = patterns.map(pattern => {
+        const negated = pattern.startsWith('!');
+        const cleaned = (negated ? pattern.slice(1) : pattern).replace(/^\.\//, '').replace(/\/+$/, '');
+        return { negated, pattern: cleaned };
+    });
+    const isExcluded = createMatcher(normalized.filter(entry => entry.negated).map(entry => entry.pattern));
+    const included = normalized.filter(entry => !entry.negated).map(entry => `${entry.pattern}/package.json`);
+
+    const dirs = new Set(['.']);
+    if (included.length) {
+        for await (const file of glob(included, { cwd: root })) {
+            const dir = path.dirname(file).split(path.sep).join('/');
+            if (!dir.split('/').includes('node_modules') && !isExcluded(dir)) {
+                dirs.add(dir);
+            }
+        }
+    }
+
+    /** @type {Map<string, string>} */
+    const packages = new Map();
+    for (const dir of dirs) {
+        const pkg = parseJson(await readOptional(path.join(root, dir, 'package.json')));
+        if (typeof pkg?.name === 'string' && typeof pkg.version === 'string') {
+            packages.set(pkg.name, pkg.version);
+        }
+    }
+    return packages;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+function toPatterns(value) {
+    return Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {string | undefined} text
+ * @returns {Record<string, unknown> | undefined} undefined for missing or malformed JSON
+ */
+function parseJson(text) {
+    if (text === undefined) {
+        return undefined;
+    }
+    try {
+        const value = JSON.parse(text);
+        return isObject(value) ? value : undefined;
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<string | undefined>} undefined when the file does not exist
+ */
+async function readOptional(file) {
+    try {
+        return await readFile(file, 'utf8');
+    } catch (e) {
+        if (typeof e === 'object' && e != null && 'code' in e && e.code === 'ENOENT') {
+            return undefined;
+        }
+        throw e;
+    }
+}
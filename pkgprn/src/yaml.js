@@ -0,0 +1,228 @@
+/**
+ * @typedef {string | null | YamlSequence | YamlMapping} YamlValue
+ */
+
+/**
+ * @typedef {Array<YamlValue>} YamlSequence
+ */
+
+/**
+ * @typedef {{ [key: string]: YamlValue }} YamlMapping
+ */
+
+/**
+ * @typedef {Object} Line
+ * @property {number} indent
+ * @property {string} content - without indentation and comments
+ * @property {number} number - 1-based line number
+ */
+
+/**
+ * A mapping entry: quoted or plain key, colon and optional value.
+ */
+const mappingEntry = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^'"][^:]*?)\s*:(?:\s+(.*))?$/;
+
+/**
+ * Parses the subset of YAML used by `pnpm-workspace.yaml`: nested block mappings, block sequences,
+ * flow sequences, plain and quoted scalars and comments. Scalars are not converted, `18` stays a string.
+ * @param {string} text
+ * @param {string[]} [keys] - top-level keys to parse, entries with other keys are skipped without looking at their values,
+ * so they may use syntax outside of the supported subset
+ * @returns {YamlValue}
+ */
+export function parseYaml(text, keys) {
+    /** @type {Line[]} */
+    const lines = [];
+    /** @type {number | undefined} */
+    let rootIndent;
+    let skipping = false;
+    text.split(/\r?\n/).forEach((line, index) => {
+        const content = stripComment(line).trimEnd();
+        const trimmed = content.trimStart();
+        if (trimmed && trimmed !== '---') {
+            const indent = content.length - trimmed.length;
+            rootIndent ??= indent;
+            if (keys && indent === rootIndent && !isSequenceItem(trimmed)) {
+                const match = mappingEntry.exec(trimmed);
+                skipping = match !== null && !keys.includes(/** @type {string} */ (parseScalar(match[1], index + 1)));
+            }
+            if (!skipping) {
+                lines.push({ indent, content: trimmed, number: index + 1 });
+            }
+        }
+    });
+
+    if (lines.length === 0) {
+        return null;
+    }
+
+    const state = { index: 0 };
+    const value = parseBlock(lines, state, lines[0].indent);
+    if (state.index < lines.length) {
+        throw new Error(`unexpected indentation at line ${lines[state.index].number}`);
+    }
+    return value;
+}
+
+/**
+ * @param {Line[]} lines
+ * @param {{ index: number }} state
+ * @param {number} indent
+ * @returns {YamlValue}
+ */
+function parseBlock(lines, state, indent) {
+    return isSequenceItem(lines[state.index].content) ? parseSequence(lines, state, indent) : parseMapping(lines, state, indent);
+}
+
+/**
+ * @param {Line[]} lines
+ * @param {{ index: number }} state
+ * @param {number} indent
+ * @returns {YamlSequence}
+ */
+function parseSequence(lines, state, indent) {
+    /** @type {YamlSequence} */
+    const result = [];
+    while (state.index < lines.length && lines[state.index].indent === indent && isSequenceItem(lines[state.index].content)) {
+        const line = lines[state.index];
+        const item = line.content.slice(1).trim();
+        state.index++;
+        if (item) {
+            if (/^[^'"[].*?:(\s|$)/.test(item)) {
+                throw new Error(`mappings in sequences are not supported (line ${line.number})`);
+            }
+            result.push(parseScalar(item, line.number));
+        } else if (state.index < lines.length && lines[state.index].indent > indent) {
+            result.push(parseBlock(lines, state, lines[state.index].indent));
+        } else {
+            result.push(null);
+        }
+    }
+    return result;
+}
+
+/**
+ * @param {Line[]} lines
+ * @param {{ index: number }} state
+ * @param {number} indent
+ * @returns {YamlMapping}
+ */
+function parseMapping(lines, state, indent) {
+    /** @type {YamlMapping} */
+    const result = {};
+    while (state.index < lines.length && lines[state.index].indent === indent) {
+        const line = lines[state.index];
+        const match = mappingEntry.exec(line.content);
+        if (!match) {
+            throw new Error(`expected a mapping entry at line ${line.number}`);
+        }
+        const key = /** @type {string} */ (parseScalar(match[1], line.number));
+        const value = match[2]?.trim();
+        state.index++;
+
+        const next = lines[state.index];
+        if (value) {
+            result[key] = parseScalar(value, line.number);
+        } else if (next && (next.indent > indent || (next.indent === indent && isSequenceItem(next.content)))) {
+            result[key] = parseBlock(lines, state, next.indent);
+        } else {
+            result[key] = null;
+        }
+    }
+    return result;
+}
+
+/**
+ * @param {string} value
+ * @param {number} lineNumber
+ * @returns {YamlValue}
+ */
+function parseScalar(value, lineNumber) {
+    if (value.startsWith('"')) {
+        try {
+            return JSON.parse(value);
+        } catch {
+            throw new Error(`invalid double-quoted string at line ${lineNumber}`);
+        }
+    }
+    if (value.startsWith("'")) {
+        if (!/^'(?:[^']|'')*'$/.test(value)) {
+            throw new Error(`invalid single-quoted string at line ${lineNumber}`);
+        }
+        return value.slice(1, -1).replace(/''/g, "'");
+    }
+    if (value.startsWith('[')) {
+        if (!value.endsWith(']')) {
+            throw new Error(`unterminated flow sequence at line ${lineNumber}`);
+        }
+        const body = value.slice(1, -1).trim();
+        return body ? splitFlowItems(body).map(item => parseScalar(item, lineNumber)) : [];
+    }
+    if (value.startsWith('{')) {
+        throw new Error(`flow mappings are not supported (line ${lineNumber})`);
+    }
+    return value === '~' || value === 'null' ? null : value;
+}
+
+/**
+ * Splits the items of a flow sequence, commas inside quotes are kept.
+ * @param {string} body
+ * @returns {string[]}
+ */
+function splitFlowItems(body) {
+    /** @type {string[]} */
+    const items = [];
+    let current = '';
+    /** @type {string | undefined} */
+    let quote;
+    for (const char of body) {
+        if (quote) {
+            if (char === quote) {
+                quote = undefined;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === ',') {
+            items.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    items.push(current.trim());
+    return items;
+}
+
+/**
+ * @param {string} content
+ * @returns {boolean}
+ */
+function isSequenceItem(content) {
+    return content === '-' || content.startsWith('- ');
+}
+
+/**
+ * Removes a `#` comment that is outside of quotes and starts the line or follows whitespace.
+ * @param {string} line
+ * @returns {string}
+ */
+function stripComment(line) {
+    /** @type {string | undefined} */
+    let quote;
+    for (let i = 0; i < line.length; ++i) {
+        const char = line[i];
+        if (quote) {
+            if (char === '\\' && quote === '"') {
+                ++i;
+            } else if (char === quote) {
+                quote = undefined;
+            }
+        } else if ((char === '"' || char === "'") && (i === 0 || /[\s:[,]/.test(line[i - 1]))) {
+            // only a quote that starts a scalar opens a quoted string, `it's` is a plain scalar
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
@@ -0,0 +1,68 @@
+import assert from 'node:assert';
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import test, { after, before, describe } from 'node:test';
+
+import { backupPath, createBackup, restoreBackup, saveBackup } from '../src/backup.js';
+
+/** @type {string} */
+let root;
+
+const logger = /** @type {import('@niceties/logger').Logger} */ (/** @type {unknown} */ ({ update() {} }));
+
+before(async () => {
+    root = await mkdtemp(path.join(tmpdir(), 'pkgprn-backup-'));
+});
+
+after(async () => {
+    await rm(root, { recursive: true, force: true });
+});
+
+/**
+ * Backs up and deletes `index.js`, then restores the backup.
+ * @param {string} dir
+ */
+async function roundTrip(dir) {
+    await writeFile(path.join(dir, 'index.js'), 'export {};\n');
+    const backup = await createBackup(dir);
+    await backupPath(backup, 'index.js');
+    await rm(path.join(dir, 'index.js'));
+    await saveBackup(backup);
+    await restoreBackup(dir, logger);
+    assert.strictEqual(await readFile(path.join(dir, 'index.js'), 'utf8'), 'export {};\n');
+}
+
+describe('restoreBackup', () => {
+    test('removes the parent directories created for the backup', async () => {
+        const dir = path.join(root, 'created');
+        await mkdir(dir);
+
+        await roundTrip(dir);
+
+        assert.deepStrictEqual(await readdir(dir), ['index.js']);
+    });
+
+    test('keeps existing parent directories', async () => {
+        const dir = path.join(root, 'existing');
+        await mkdir(path.join(dir, 'node_modules'), { recursive: true });
+
+        await roundTrip(dir);
+
+        assert.deepStrictEqual((await readdir(dir)).sort(), ['index.js', 'node_modules']);
+        assert.deepStrictEqual(await readdir(path.join(dir, 'node_modules')), []);
+    });
+
+    test('keeps created parent directories that are not empty anymore', async () => {
+        const dir = path.join(root, 'filled');
+        await mkdir(dir);
+        await writeFile(path.join(dir, 'index.js'), 'export {};\n');
+        const backup = await createBackup(dir);
+        await saveBackup(backup);
+        await mkdir(path.join(dir, 'node_modules', 'dep'));
+
+        await restoreBackup(dir, logger);
+
+        assert.deepStrictEqual(await readdir(path.join(dir, 'node_modules')), ['dep']);
+    });
+});
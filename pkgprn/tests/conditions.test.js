@@ -0,0 +1,63 @@
+import assert from 'node:assert';
+import test, { describe } from 'node:test';
+
+import { dropConditions } from '../src/conditions.js';
+
+const conditions = new Set(['source', 'development', '@org/source']);
+
+describe('dropConditions', () => {
+    test('removes conditions at every level and collapses single defaults', () => {
+        const exports = {
+            '.': {
+                source: './src/index.ts',
+                import: { development: './dist/dev.js', '@org/source': './src/index.ts', default: './dist/index.js' },
+                require: './dist/index.cjs',
+            },
+            './utils': { source: './src/utils.ts', default: './dist/utils.js' },
+            './package.json': './package.json',
+        };
+
+        const { value, dropped } = dropConditions(exports, conditions, ['exports']);
+
+        assert.deepStrictEqual(value, {
+            '.': { import: './dist/index.js', require: './dist/index.cjs' },
+            './utils': './dist/utils.js',
+            './package.json': './package.json',
+        });
+        assert.deepStrictEqual(dropped, [
+            { path: ['exports', '.', 'source'], target: './src/index.ts' },
+            { path: ['exports', '.', 'import', 'development'], target: './dist/dev.js' },
+            { path: ['exports', '.', 'import', '@org/source'], target: './src/index.ts' },
+            { path: ['exports', './utils', 'source'], target: './src/utils.ts' },
+        ]);
+    });
+
+    test('handles imports and arrays', () => {
+        const imports = {
+            '#internal': [{ source: './src/internal.ts' }, './dist/internal.js'],
+            '#dev': { development: './src/dev.ts' },
+            '#private/*': null,
+        };
+
+        const { value } = dropConditions(imports, conditions, ['imports']);
+
+        assert.deepStrictEqual(value, { '#internal': ['./dist/internal.js'], '#private/*': null });
+    });
+
+    test('never treats subpaths as conditions', () => {
+        const { value, dropped } = dropConditions({ './source': './dist/source.js' }, new Set(['./source']), ['exports']);
+        assert.deepStrictEqual(value, { './source': './dist/source.js' });
+        assert.deepStrictEqual(dropped, []);
+    });
+
+    test('returns the original value when nothing is removed', () => {
+        const exports = { '.': { default: './index.js' } };
+        const result = dropConditions(exports, conditions, ['exports']);
+        assert.strictEqual(result.value, exports);
+        assert.strictEqual(dropConditions('./index.js', conditions, ['exports']).value, './index.js');
+    });
+
+    test('keeps an empty object when everything is removed', () => {
+        assert.deepStrictEqual(dropConditions({ source: './src/index.ts' }, conditions, ['exports']).value, {});
+    });
+});
@@ -0,0 +1,128 @@
+import assert from 'node:assert';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import test, { describe } from 'node:test';
+
+import { loadConfig, validateConfig } from '../src/config.js';
+
+describe('validateConfig', () => {
+    test('accepts an empty object', () => {
+        assert.deepStrictEqual(validateConfig({}, 'test'), {});
+    });
+
+    test('accepts all supported options', () => {
+        const config = {
+            profile: 'app',
+            flatten: ['dist'],
+            removeSourcemaps: true,
+            stripComments: true,
+            removeTests: ['*.test.js'],
+            optimizeFiles: false,
+            cleanupFiles: false,
+            validateReferences: false,
+            dryRun: true,
+            outDir: 'publish',
+            overwriteOutDir: true,
+            removeFields: ['browserslist'],
+            keepFields: ['volta'],
+            dropConditions: ['source'],
+            keep: ['NOTICE'],
+            maxSize: '5mb',
+            maxFileSize: 200000,
+            sizeBudgets: { '*.js': '200kb' },
+            sizeSummary: true,
+            profiles: { cli: { extends: 'app', keep: ['start:*'], remove: ['test*'] } },
+        };
+        assert.deepStrictEqual(validateConfig(config, 'test'), config);
+    });
+
+    test('rejects non-object config', () => {
+        assert.throws(() => validateConfig(['dist'], 'test'), { message: 'invalid config in test: expected an object' });
+        assert.throws(() => validateConfig(null, 'test'), { message: 'invalid config in test: expected an object' });
+    });
+
+    test('rejects unknown options', () => {
+        assert.throws(() => validateConfig({ flaten: true }, 'test'), { message: 'invalid config in test: unknown option "flaten"' });
+    });
+
+    test('rejects wrong types', () => {
+        assert.throws(() => validateConfig({ profile: true }, 'test'), { message: 'invalid config in test: "profile" must be a string' });
+        assert.throws(() => validateConfig({ cleanupFiles: 'yes' }, 'test'), {
+            message: 'invalid config in test: "cleanupFiles" must be a boolean',
+        });
+        assert.throws(() => validateConfig({ stripComments: ['jsdoc', 1] }, 'test'), {
+            message: 'invalid config in test: "stripComments" must be a boolean or an array of strings',
+        });
+        assert.throws(() => validateConfig({ maxSize: '5 MiB' }, 'test'), {
+            message: 'invalid config in test: "maxSize" must be a number of bytes or a size like "200kb"',
+        });
+        assert.throws(() => validateConfig({ sizeBudgets: { '*.js': true } }, 'test'), {
+            message: 'invalid config in test: "sizeBudgets" must be an object of glob patterns and sizes',
+        });
+    });
+
+    test('rejects malformed profiles', () => {
+        const message =
+            'invalid config in test: "profiles" must be an object of profiles with optional "extends" (string), "keep" and "remove" (arrays of strings)';
+        assert.throws(() => validateConfig({ profiles: ['cli'] }, 'test'), { message });
+        assert.throws(() => validateConfig({ profiles: { cli: { extends: ['app'] } } }, 'test'), { message });
+        assert.throws(() => validateConfig({ profiles: { cli: { keep: 'start' } } }, 'test'), { message });
+        assert.throws(() => validateConfig({ profiles: { cli: { kep: ['start'] } } }, 'test'), { message });
+    });
+});
+
+describe('loadConfig', () => {
+    test('returns empty config when nothing is configured', async () => {
+        const dir = await mkdtemp(path.join(tmpdir(), 'pkgprn-config-'));
+        try {
+            assert.deepStrictEqual(await loadConfig(dir, {}), {});
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('reads the pkgprn key from package.json', async () => {
+        const dir = await mkdtemp(path.join(tmpdir(), 'pkgprn-config-'));
+        try {
+            assert.deepStrictEqual(await loadConfig(dir, { pkgprn: { flatten: true } }), { flatten: true });
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('reads pkgprn.config.json and pkgprn.config.mjs', async () => {
+        const dir = await mkdtemp(path.join(tmpdir(), 'pkgprn-config-'));
+        try {
+            await writeFile(path.join(dir, 'pkgprn.config.json'), '{ "removeSourcemaps": true }');
+            assert.deepStrictEqual(await loadConfig(dir, {}), { removeSourcemaps: true });
+            await rm(path.join(dir, 'pkgprn.config.json'));
+            await writeFile(path.join(dir, 'pkgprn.config.mjs'), "export default { profile: 'app' };");
+            assert.deepStrictEqual(await loadConfig(dir, {}), { profile: 'app' });
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('fails when configured in more than one place', async () => {
+        const dir = await mkdtemp(path.join(tmpdir(), 'pkgprn-config-'));
+        try {
+            await writeFile(path.join(dir, 'pkgprn.config.json'), '{}');
+            await assert.rejects(loadConfig(dir, { pkgprn: {} }), {
+                message: 'multiple configurations found: "pkgprn" key in package.json, pkgprn.config.json',
+            });
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('fails on malformed json', async () => {
+        const dir = await mkdtemp(path.join(tmpdir(), 'pkgprn-config-'));
+        try {
+            await writeFile(path.join(dir, 'pkgprn.config.json'), '{');
+            await assert.rejects(loadConfig(dir, {}), /^Error: could not parse pkgprn\.config\.json: /);
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+});
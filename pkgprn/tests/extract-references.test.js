@@ -1,7 +1,7 @@
 import assert from 'node:assert';
 import test, { describe } from 'node:test';
 
-import { extractReferences } from '../src/extract-references.js';
+import { extractAlternativeEntries, extractReferences } from '../src/extract-references.js';
 
 describe('extractReferences', () => {
     test('returns empty array for empty package', () => {
@@ -49,7 +49,45 @@ describe('extractReferences', () => {
         assert.deepStrictEqual(result, ['./dist/index.d.ts']);
     });
 
-    test('extracts exports 2 levels deep', () => {
+    test('extracts alternative entry points', () => {
+        const result = extractReferences({
+            jsdelivr: './dist/index.umd.js',
+            style: './dist/style.css',
+            sass: './scss/index.scss',
+            es2015: './dist/es2015/index.js',
+            esnext: './dist/esnext/index.js',
+            svelte: './src/index.svelte',
+            browser: './dist/browser.js',
+            'react-native': './dist/native.js',
+        });
+        assert.deepStrictEqual(result, [
+            './dist/index.umd.js',
+            './dist/style.css',
+            './scss/index.scss',
+            './dist/es2015/index.js',
+            './dist/esnext/index.js',
+            './src/index.svelte',
+            './dist/browser.js',
+            './dist/native.js',
+        ]);
+    });
+
+    test('extracts relative keys and values of browser replacement maps', () => {
+        const result = extractReferences({
+            browser: { './dist/node.js': './dist/browser.js', './dist/fs.js': false, fs: false, path: 'path-browserify' },
+            'react-native': { './dist/node.js': './dist/native.js', crypto: './dist/crypto.native.js' },
+        });
+        assert.deepStrictEqual(result, [
+            './dist/node.js',
+            './dist/browser.js',
+            './dist/fs.js',
+            './dist/node.js',
+            './dist/native.js',
+            './dist/crypto.native.js',
+        ]);
+    });
+
+    test('extracts exports subpaths with conditions', () => {
         const result = extractReferences({
             exports: {
                 '.': {
@@ -65,31 +103,75 @@ describe('extractReferences', () => {
         assert.deepStrictEqual(result, ['./types/index.d.ts', './dist/index.js', './dist/second.mjs', './dist/second.js']);
     });
 
-    test('skips string values at exports level 1 (only descends into objects)', () => {
+    test('extracts string subpath targets', () => {
         const result = extractReferences({
             exports: {
                 '.': {
                     types: './types/index.d.ts',
                     default: './prune.js',
                 },
+                './utils': './dist/utils.js',
                 './package.json': './package.json',
             },
         });
-        assert.deepStrictEqual(result, ['./types/index.d.ts', './prune.js']);
+        assert.deepStrictEqual(result, ['./types/index.d.ts', './prune.js', './dist/utils.js', './package.json']);
     });
 
-    test('handles nested conditional exports (3 levels) - only extracts 2 levels deep', () => {
+    test('extracts nested conditions at any depth', () => {
         const result = extractReferences({
             exports: {
                 '.': {
-                    node: { import: './dist/node.mjs', require: './dist/node.cjs' },
+                    import: { types: './dist/index.d.mts', default: './dist/index.mjs' },
+                    node: { require: { types: './dist/node.d.cts', default: './dist/node.cjs' } },
                     default: './dist/index.js',
                 },
             },
         });
-        // node -> object (not a string, included as-is since it's at level 2)
-        // default -> string
-        assert.deepStrictEqual(result, [{ import: './dist/node.mjs', require: './dist/node.cjs' }, './dist/index.js']);
+        assert.deepStrictEqual(result, [
+            './dist/index.d.mts',
+            './dist/index.mjs',
+            './dist/node.d.cts',
+            './dist/node.cjs',
+            './dist/index.js',
+        ]);
+    });
+
+    test('extracts top-level condition maps', () => {
+        const result = extractReferences({ exports: { import: './dist/index.mjs', require: './dist/index.cjs' } });
+        assert.deepStrictEqual(result, ['./dist/index.mjs', './dist/index.cjs']);
+    });
+
+    test('extracts targets in fallback arrays', () => {
+        const result = extractReferences({
+            exports: { '.': [{ import: './dist/index.mjs' }, './dist/index.js'] },
+        });
+        assert.deepStrictEqual(result, ['./dist/index.mjs', './dist/index.js']);
+    });
+
+    test('skips null targets of blocked subpaths', () => {
+        const result = extractReferences({
+            exports: { '.': './dist/index.js', './internal/*': null, './feature': { node: null, default: './dist/feature.js' } },
+        });
+        assert.deepStrictEqual(result, ['./dist/index.js', './dist/feature.js']);
+    });
+
+    test('extracts imports targets with nested conditions', () => {
+        const result = extractReferences({
+            imports: {
+                '#internal/*': './dist/internal/*.js',
+                '#env': { node: { import: './dist/env.node.mjs' }, default: './dist/env.js' },
+                '#fallback': ['./dist/fallback.js'],
+                '#blocked': null,
+            },
+        });
+        assert.deepStrictEqual(result, ['./dist/internal/*.js', './dist/env.node.mjs', './dist/env.js', './dist/fallback.js']);
+    });
+
+    test('skips package targets of imports', () => {
+        const result = extractReferences({
+            imports: { '#dep': 'dep-package', '#polyfill': { node: 'node:fs', default: './dist/polyfill.js' } },
+        });
+        assert.deepStrictEqual(result, ['./dist/polyfill.js']);
     });
 
     test('flattens array values in exports at level 2', () => {
@@ -179,14 +261,14 @@ describe('extractReferences', () => {
         assert.deepStrictEqual(result, ['./dist/index.d.ts']);
     });
 
-    test('ignores exports when not an object', () => {
+    test('extracts exports when it is a string', () => {
         const result = extractReferences({ exports: './dist/index.js' });
-        assert.deepStrictEqual(result, []);
+        assert.deepStrictEqual(result, ['./dist/index.js']);
     });
 
-    test('ignores exports when it is an array', () => {
+    test('extracts exports when it is an array', () => {
         const result = extractReferences({ exports: ['./dist/index.js'] });
-        assert.deepStrictEqual(result, []);
+        assert.deepStrictEqual(result, ['./dist/index.js']);
     });
 
     test('ignores typesVersions when not an object', () => {
@@ -235,7 +317,7 @@ describe('extractReferences', () => {
         assert.deepStrictEqual(result, []);
     });
 
-    test('preserves order: bin, bin.*, main, module, unpkg, umd, types, typings, exports, typesVersions, directories.bin', () => {
+    test('preserves order: bin, bin.*, main, module, unpkg, umd, types, typings, exports, imports, typesVersions, directories.bin', () => {
         const bin = { cmd: './dist/cli.js' };
         const result = extractReferences({
             // intentionally put fields in different order
@@ -246,6 +328,7 @@ describe('extractReferences', () => {
             module: './dist/module.mjs',
             main: './dist/main.js',
             bin,
+            imports: { '#internal': './dist/internal.js' },
             exports: { '.': { default: './dist/index.js' } },
             typesVersions: { '*': { '*': ['types/*'] } },
             directories: { bin: './bin' },
@@ -260,8 +343,21 @@ describe('extractReferences', () => {
             './dist/types.d.ts',
             './dist/typings.d.ts',
             './dist/index.js',
+            './dist/internal.js',
             'types/*',
             './bin',
         ]);
     });
 });
+
+describe('extractAlternativeEntries', () => {
+    test('returns only the alternative entry points', () => {
+        const result = extractAlternativeEntries({
+            main: './dist/index.js',
+            style: './dist/style.css',
+            browser: { './dist/index.js': './dist/browser.js' },
+            esnext: null,
+        });
+        assert.deepStrictEqual(result, ['./dist/style.css', './dist/index.js', './dist/browser.js']);
+    });
+});
@@ -0,0 +1,80 @@
+import assert from 'node:assert';
+import test, { describe } from 'node:test';
+
+import { createMatcher, globToRegExp, subpathPatternToRegExp } from '../src/glob.js';
+
+describe('globToRegExp', () => {
+    test('matches literal strings exactly', () => {
+        assert.ok(globToRegExp('start').test('start'));
+        assert.ok(!globToRegExp('start').test('prestart'));
+        assert.ok(globToRegExp('a.b+c').test('a.b+c'));
+        assert.ok(!globToRegExp('a.b').test('axb'));
+    });
+
+    test('* matches within a path segment', () => {
+        assert.ok(globToRegExp('start:*').test('start:dev'));
+        assert.ok(globToRegExp('postinstall*').test('postinstall'));
+        assert.ok(globToRegExp('*.js').test('index.js'));
+        assert.ok(!globToRegExp('*.js').test('dist/index.js'));
+    });
+
+    test('** matches across path segments', () => {
+        assert.ok(globToRegExp('dist/**').test('dist/a/b.js'));
+        assert.ok(globToRegExp('**/*.test.js').test('a.test.js'));
+        assert.ok(globToRegExp('**/*.test.js').test('src/deep/a.test.js'));
+        assert.ok(!globToRegExp('**/*.test.js').test('src/a.js'));
+    });
+
+    test('? matches one character', () => {
+        assert.ok(globToRegExp('v?').test('v1'));
+        assert.ok(!globToRegExp('v?').test('v12'));
+        assert.ok(!globToRegExp('a?b').test('a/b'));
+    });
+
+    test('character classes', () => {
+        assert.ok(globToRegExp('file[0-9].js').test('file1.js'));
+        assert.ok(!globToRegExp('file[!0-9].js').test('file1.js'));
+        assert.ok(globToRegExp('file[!0-9].js').test('filea.js'));
+    });
+
+    test('alternatives', () => {
+        assert.ok(globToRegExp('*.{js,mjs}').test('index.mjs'));
+        assert.ok(globToRegExp('{test,spec}:*').test('spec:unit'));
+        assert.ok(!globToRegExp('*.{js,mjs}').test('index.cjs'));
+    });
+
+    test('rejects unclosed alternatives', () => {
+        assert.throws(() => globToRegExp('*.{js'), { message: 'invalid glob pattern *.{js: unclosed {' });
+    });
+});
+
+describe('createMatcher', () => {
+    test('matches any of the patterns', () => {
+        const matches = createMatcher(['test', 'test:*']);
+        assert.ok(matches('test'));
+        assert.ok(matches('test:unit'));
+        assert.ok(!matches('pretest'));
+    });
+
+    test('matches nothing without patterns', () => {
+        assert.ok(!createMatcher([])('anything'));
+    });
+});
+
+describe('subpathPatternToRegExp', () => {
+    test('* matches across path segments', () => {
+        assert.ok(subpathPatternToRegExp('dist/features/*.js').test('dist/features/a.js'));
+        assert.ok(subpathPatternToRegExp('dist/features/*.js').test('dist/features/a/b.js'));
+        assert.ok(subpathPatternToRegExp('dist/*/index.js').test('dist/a/index.js'));
+        assert.ok(!subpathPatternToRegExp('dist/features/*.js').test('dist/features/a.mjs'));
+    });
+
+    test('* does not match an empty string', () => {
+        assert.ok(!subpathPatternToRegExp('dist/*.js').test('dist/.js'));
+    });
+
+    test('other characters are literal', () => {
+        assert.ok(subpathPatternToRegExp('types/[id]/*').test('types/[id]/a.d.ts'));
+        assert.ok(!subpathPatternToRegExp('dist/?.js').test('dist/a.js'));
+    });
+});
@@ -0,0 +1,61 @@
+import assert from 'node:assert';
+import test, { describe } from 'node:test';
+
+import { isIgnored, parseIgnoreFile } from '../src/ignore.js';
+
+describe('parseIgnoreFile', () => {
+    test('skips comments and blank lines', () => {
+        assert.deepStrictEqual(parseIgnoreFile('# comment\n\n   \n', '.'), []);
+    });
+
+    test('parses negation, directory and anchored patterns', () => {
+        const [negated, directory, anchored, inner, escaped] = parseIgnoreFile('!keep.js\nbuild/\n/docs\nsrc/*.ts\n\\#file\n', 'lib');
+        assert.deepStrictEqual(
+            { negated: negated.negated, directoryOnly: negated.directoryOnly, anchored: negated.anchored, base: negated.base },
+            { negated: true, directoryOnly: false, anchored: false, base: 'lib' }
+        );
+        assert.strictEqual(directory.directoryOnly, true);
+        assert.strictEqual(directory.anchored, false);
+        assert.strictEqual(anchored.anchored, true);
+        assert.ok(anchored.regExp.test('docs'));
+        assert.strictEqual(inner.anchored, true);
+        assert.ok(escaped.regExp.test('#file'));
+    });
+});
+
+describe('isIgnored', () => {
+    test('matches names at any depth', () => {
+        const rules = parseIgnoreFile('*.test.js', '.');
+        assert.ok(isIgnored(rules, 'a.test.js', false));
+        assert.ok(isIgnored(rules, 'dist/deep/a.test.js', false));
+        assert.ok(!isIgnored(rules, 'dist/a.js', false));
+    });
+
+    test('anchors patterns with a slash to the ignore file', () => {
+        const rules = parseIgnoreFile('/docs\nsrc/*.ts', '.');
+        assert.ok(isIgnored(rules, 'docs', true));
+        assert.ok(!isIgnored(rules, 'lib/docs', true));
+        assert.ok(isIgnored(rules, 'src/index.ts', false));
+        assert.ok(!isIgnored(rules, 'lib/src/index.ts', false));
+    });
+
+    test('matches directory patterns only against directories', () => {
+        const rules = parseIgnoreFile('build/', '.');
+        assert.ok(isIgnored(rules, 'build', true));
+        assert.ok(!isIgnored(rules, 'build', false));
+    });
+
+    test('applies rules relative to nested ignore files', () => {
+        const rules = [...parseIgnoreFile('*.map', '.'), ...parseIgnoreFile('/private.js\n!keep.map', 'lib')];
+        assert.ok(isIgnored(rules, 'lib/private.js', false));
+        assert.ok(!isIgnored(rules, 'private.js', false));
+        assert.ok(!isIgnored(rules, 'lib/keep.map', false));
+        assert.ok(isIgnored(rules, 'keep.map', false));
+    });
+
+    test('the last matching rule wins', () => {
+        const rules = parseIgnoreFile('*.js\n!index.js\nindex.js', '.');
+        assert.ok(isIgnored(rules, 'index.js', false));
+        assert.ok(!isIgnored(parseIgnoreFile('*.js\n!index.js', '.'), 'index.js', false));
+    });
+});
@@ -0,0 +1,129 @@
+import assert from 'node:assert';
+import { createHash } from 'node:crypto';
+import { chmod, mkdir, mkdtemp, readFile, rm, utimes, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import test, { describe } from 'node:test';
+import { gunzipSync } from 'node:zlib';
+
+import { getTarballName, pack } from '../src/pack.js';
+
+/**
+ * Reads the entries of an uncompressed tarball.
+ * @param {Buffer} tar
+ * @returns {Array<{ name: string, mode: number, mtime: number, type: string, content: string }>}
+ */
+function readTar(tar) {
+    const entries = [];
+    /** @type {string | undefined} */
+    let paxPath;
+    let offset = 0;
+    while (offset < tar.length && tar[offset] !== 0) {
+        const header = tar.subarray(offset, offset + 512);
+        const field = (/** @type {number} */ start, /** @type {number} */ length) =>
+            header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+        const size = Number.parseInt(field(124, 12), 8);
+        const type = field(156, 1);
+        const content = tar.toString('utf8', offset + 512, offset + 512 + size);
+        const prefix = field(345, 155);
+        const name = prefix ? `${prefix}/${field(0, 100)}` : field(0, 100);
+        if (type === 'x') {
+            paxPath = /path=(.*)\n/.exec(content)?.[1];
+        } else {
+            entries.push({
+                name: paxPath ?? name,
+                mode: Number.parseInt(field(100, 8), 8),
+                mtime: Number.parseInt(field(136, 12), 8),
+                type,
+                content,
+            });
+            paxPath = undefined;
+        }
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return entries;
+}
+
+describe('getTarballName', () => {
+    test('uses name and version', () => {
+        assert.strictEqual(getTarballName('mylib', '1.0.0'), 'mylib-1.0.0.tgz');
+    });
+
+    test('flattens scoped names', () => {
+        assert.strictEqual(getTarballName('@scope/mylib', '2.0.0-beta.1'), 'scope-mylib-2.0.0-beta.1.tgz');
+    });
+});
+
+describe('pack', () => {
+    test('writes files under package/ with normalized modes and mtimes', async () => {
+        const dir = await mkdtemp(path.join(tmpdir(), 'pkgprn-pack-'));
+        try {
+            await mkdir(path.join(dir, 'dist'));
+            await writeFile(path.join(dir, 'package.json'), '{"name":"mylib"}');
+            await writeFile(path.join(dir, 'dist', 'index.js'), 'export const a = 1;\n');
+            await writeFile(path.join(dir, 'dist', 'cli.js'), '#!/usr/bin/env node\n');
+            await chmod(path.join(dir, 'dist', 'cli.js'), 0o700);
+
+            const result = await pack(dir, ['package.json', 'dist/index.js', 'dist/cli.js'], path.join(dir, 'mylib-1.0.0.tgz'));
+            const tarball = await readFile(path.join(dir, 'mylib-1.0.0.tgz'));
+
+            assert.deepStrictEqual(readTar(gunzipSync(tarball)), [
+                { name: 'package/dist/cli.js', mode: 0o755, mtime: 499162500, type: '0', content: '#!/usr/bin/env node\n' },
+                { name: 'package/dist/index.js', mode: 0o644, mtime: 499162500, type: '0', content: 'export const a = 1;\n' },
+                { name: 'package/package.json', mode: 0o644, mtime: 499162500, type: '0', content: '{"name":"mylib"}' },
+            ]);
+            assert.deepStrictEqual(result, {
+                filename: 'mylib-1.0.0.tgz',
+                files: [
+                    { path: 'dist/cli.js', size: 20 },
+                    { path: 'dist/index.js', size: 20 },
+                    { path: 'package.json', size: 16 },
+                ],
+                size: tarball.length,
+                unpackedSize: 56,
+                shasum: createHash('sha1').update(tarball).digest('hex'),
+                integrity: `sha512-${createHash('sha512').update(tarball).digest('base64')}`,
+            });
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('is reproducible', async () => {
+        const dir = await mkdtemp(path.join(tmpdir(), 'pkgprn-pack-'));
+        try {
+            await writeFile(path.join(dir, 'index.js'), 'export const a = 1;\n');
+            const first = await pack(dir, ['index.js'], path.join(dir, 'first.tgz'));
+            await utimes(path.join(dir, 'index.js'), new Date(), new Date(2000, 1, 1));
+            const second = await pack(dir, ['index.js'], path.join(dir, 'second.tgz'));
+            assert.strictEqual(second.integrity, first.integrity);
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('stores long paths', async () => {
+        const dir = await mkdtemp(path.join(tmpdir(), 'pkgprn-pack-'));
+        try {
+            const medium = path.join('a'.repeat(80), 'b'.repeat(60), 'index.js');
+            const long = path.join('c'.repeat(120), 'd'.repeat(120), 'index.js');
+            for (const file of [medium, long]) {
+                await mkdir(path.join(dir, path.dirname(file)), { recursive: true });
+                await writeFile(path.join(dir, file), file);
+            }
+
+            await pack(dir, [medium, long], path.join(dir, 'long.tgz'));
+            const entries = readTar(gunzipSync(await readFile(path.join(dir, 'long.tgz'))));
+
+            assert.deepStrictEqual(
+                entries.map(entry => [entry.name, entry.content]),
+                [
+                    [`package/${medium}`, medium],
+                    [`package/${long}`, long],
+                ]
+            );
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,49 @@
+import assert from 'node:assert';
+import test, { describe } from 'node:test';
+
+import { parsePackage, stringifyPackage } from '../src/package-json.js';
+
+describe('parsePackage', () => {
+    test('detects two-space indent and final newline', () => {
+        const { pkg, format } = parsePackage('{\n  "name": "a",\n  "main": "index.js"\n}\n');
+        assert.deepStrictEqual(pkg, { name: 'a', main: 'index.js' });
+        assert.deepStrictEqual(format, { indent: '  ', newline: '\n', finalNewline: true, keys: ['name', 'main'] });
+    });
+
+    test('detects tabs, CRLF and missing final newline', () => {
+        const { format } = parsePackage('{\r\n\t"name": "a"\r\n}');
+        assert.deepStrictEqual(format, { indent: '\t', newline: '\r\n', finalNewline: false, keys: ['name'] });
+    });
+
+    test('detects single-line JSON', () => {
+        const { format } = parsePackage('{"name":"a"}\n');
+        assert.deepStrictEqual(format, { indent: '', newline: '\n', finalNewline: true, keys: ['name'] });
+    });
+});
+
+describe('stringifyPackage', () => {
+    test('round-trips the original text', () => {
+        for (const text of [
+            '{\n  "name": "a",\n  "files": [\n    "dist"\n  ]\n}\n',
+            '{\r\n\t"name": "a",\r\n\t"description": "line\\nbreak"\r\n}',
+            '{\n    "name": "a"\n}',
+            '{"name":"a","main":"index.js"}',
+        ]) {
+            const { pkg, format } = parsePackage(text);
+            assert.strictEqual(stringifyPackage(pkg, format), text);
+        }
+    });
+
+    test('keeps original key order and appends new keys', () => {
+        const { pkg, format } = parsePackage(
+            '{\n  "name": "a",\n  "main": "dist/index.js",\n  "directories": {\n    "bin": "dist"\n  }\n}\n'
+        );
+        pkg.main = undefined;
+        pkg.directories = undefined;
+        pkg.bin = 'cli.js';
+        Object.assign(pkg, { main: 'index.js' });
+        delete pkg.name;
+        pkg.name = 'a';
+        assert.strictEqual(stringifyPackage(pkg, format), '{\n  "name": "a",\n  "main": "index.js",\n  "bin": "cli.js"\n}\n');
+    });
+});
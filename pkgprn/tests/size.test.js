@@ -0,0 +1,101 @@
+import assert from 'node:assert';
+import test, { describe } from 'node:test';
+
+import { findExceededSizeLimits, formatSize, formatSizeTable, getCompressedSize, getDirectorySizes, parseSize } from '../src/size.js';
+
+describe('parseSize', () => {
+    test('parses bytes and units', () => {
+        assert.strictEqual(parseSize(1234), 1234);
+        assert.strictEqual(parseSize('1234'), 1234);
+        assert.strictEqual(parseSize('200kb'), 200_000);
+        assert.strictEqual(parseSize('1.5 MB'), 1_500_000);
+        assert.strictEqual(parseSize('2GB'), 2_000_000_000);
+        assert.strictEqual(parseSize('10b'), 10);
+    });
+
+    test('rejects invalid sizes', () => {
+        assert.throws(() => parseSize('200 KiB'), { message: 'invalid size 200 KiB' });
+        assert.throws(() => parseSize('-1'), { message: 'invalid size -1' });
+        assert.throws(() => parseSize(-1), { message: 'invalid size -1' });
+        assert.throws(() => parseSize(Number.NaN), { message: 'invalid size NaN' });
+    });
+});
+
+describe('formatSize', () => {
+    test('uses decimal units', () => {
+        assert.strictEqual(formatSize(999), '999 B');
+        assert.strictEqual(formatSize(1500), '1.5 kB');
+        assert.strictEqual(formatSize(2_500_000), '2.5 MB');
+    });
+});
+
+describe('findExceededSizeLimits', () => {
+    const files = [
+        { file: 'package.json', size: 100 },
+        { file: 'dist/index.js', size: 3000 },
+        { file: 'dist/styles/index.css', size: 500 },
+    ];
+
+    test('returns nothing within the limits', () => {
+        assert.deepStrictEqual(findExceededSizeLimits(files, { maxSize: 3600, maxFileSize: 3000, budgets: { '*.css': 500 } }), []);
+    });
+
+    test('checks the total and every file', () => {
+        assert.deepStrictEqual(findExceededSizeLimits(files, { maxSize: 3000, maxFileSize: 400 }), [
+            'unpacked size 3.6 kB > 3.0 kB',
+            'dist/index.js 3.0 kB > 400 B',
+            'dist/styles/index.css 500 B > 400 B',
+        ]);
+    });
+
+    test('matches budget patterns without / against names', () => {
+        assert.deepStrictEqual(findExceededSizeLimits(files, { budgets: { '*.js': 2000, 'dist/*.css': 100, 'dist/**/*.css': 400 } }), [
+            'dist/index.js 3.0 kB > 2.0 kB (*.js)',
+            'dist/styles/index.css 500 B > 400 B (dist/**/*.css)',
+        ]);
+    });
+});
+
+describe('getDirectorySizes', () => {
+    test('sums nested directories, largest first', () => {
+        assert.deepStrictEqual(
+            getDirectorySizes([
+                { file: 'package.json', size: 100 },
+                { file: 'lib/a.js', size: 10 },
+                { file: 'dist/index.js', size: 300 },
+                { file: 'dist/styles/index.css', size: 50 },
+            ]),
+            [
+                { file: 'dist', size: 350 },
+                { file: 'dist/styles', size: 50 },
+                { file: 'lib', size: 10 },
+            ]
+        );
+    });
+});
+
+describe('getCompressedSize', () => {
+    test('measures the content and its compressed sizes', () => {
+        const content = Buffer.from('export const value = 1;\n'.repeat(100));
+        const { size, gzip, brotli } = getCompressedSize(content);
+        assert.strictEqual(size, content.length);
+        assert.ok(gzip > 0 && gzip < size);
+        assert.ok(brotli > 0 && brotli < size);
+    });
+});
+
+describe('formatSizeTable', () => {
+    test('aligns the columns', () => {
+        assert.deepStrictEqual(
+            formatSizeTable([
+                { step: 'before', files: 12, size: 40_100, gzip: 12_000, brotli: 900 },
+                { step: 'comment stripping', files: 4, size: 20_000, gzip: 8000, brotli: 700 },
+            ]),
+            [
+                'step               files     size     gzip  brotli',
+                'before                12  40.1 kB  12.0 kB   900 B',
+                'comment stripping      4  20.0 kB   8.0 kB   700 B',
+            ]
+        );
+    });
+});
@@ -1157,6 +1157,13 @@ describe('stripCommentsWithLineMap', () => {
         assert.strictEqual(result, stripComments(src, all));
     });
 
+    test('counts removed comments per type', () => {
+        const src = '/*! license */\n/** jsdoc */\nconst a = 1; // one\n// two\n/*#__PURE__*/ f();\n';
+        const types = new Set(/** @type {const} */ (['jsdoc', 'regular']));
+        assert.deepStrictEqual(stripCommentsWithLineMap(src, types).removed, { jsdoc: 1, regular: 2 });
+        assert.deepStrictEqual(stripCommentsWithLineMap('const a = 1;\n', types).removed, {});
+    });
+
     test('single-line comment removed — lines shift up', () => {
         const src = '// comment\nconst a = 1;\nconst b = 2;\n';
         const all = new Set(/** @type {const} */ (['jsdoc', 'license', 'regular']));
@@ -0,0 +1,227 @@
+import assert from 'node:assert';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import test, { after, before, describe } from 'node:test';
+
+import { findWorkspace, resolveDependencyRanges } from '../src/workspace.js';
+
+/** @type {string} */
+let root;
+
+before(async () => {
+    root = await mkdtemp(path.join(tmpdir(), 'pkgprn-workspace-'));
+});
+
+after(async () => {
+    await rm(root, { recursive: true, force: true });
+});
+
+/**
+ * @param {string} dir
+ * @param {Record<string, string | object>} files
+ * @returns {Promise<string>}
+ */
+async function createTree(dir, files) {
+    const base = path.join(root, dir);
+    for (const [file, content] of Object.entries(files)) {
+        await mkdir(path.dirname(path.join(base, file)), { recursive: true });
+        await writeFile(path.join(base, file), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+    return base;
+}
+
+describe('findWorkspace', () => {
+    test('finds pnpm workspaces', async () => {
+        const base = await createTree('pnpm', {
+            'pnpm-workspace.yaml': "packages:\n  - 'packages/*'\n  - '!packages/ignored'\n",
+            'package.json': { name: 'root', version: '0.0.0', private: true },
+            'packages/a/package.json': { name: 'a', version: '1.2.3' },
+            'packages/b/package.json': { name: '@scope/b', version: '2.0.0' },
+            'packages/ignored/package.json': { name: 'ignored', version: '1.0.0' },
+            'packages/no-version/package.json': { name: 'no-version' },
+        });
+
+        const workspace = await findWorkspace(path.join(base, 'packages/a'));
+
+        assert.strictEqual(workspace?.root, base);
+        assert.deepStrictEqual(workspace.pnpmConfig, { packages: ['packages/*', '!packages/ignored'] });
+        assert.deepStrictEqual(
+            workspace.packages,
+            new Map([
+                ['root', '0.0.0'],
+                ['a', '1.2.3'],
+                ['@scope/b', '2.0.0'],
+            ])
+        );
+    });
+
+    test('finds package.json workspaces', async () => {
+        const base = await createTree('npm', {
+            'package.json': { name: 'root', private: true, workspaces: { packages: ['libs/*'] } },
+            'libs/a/package.json': { name: 'a', version: '1.0.0' },
+        });
+
+        const workspace = await findWorkspace(path.join(base, 'libs/a'));
+
+        assert.strictEqual(workspace?.root, base);
+        assert.strictEqual(workspace.pnpmConfig, undefined);
+        assert.deepStrictEqual(workspace.packages, new Map([['a', '1.0.0']]));
+    });
+
+    test('skips the pnpm-workspace.yaml settings it does not use', async () => {
+        const base = await createTree('pnpm-settings', {
+            'pnpm-workspace.yaml': [
+                'packages:',
+                '  - packages/*',
+                'packageExtensions:',
+                '  react-redux:',
+                '    peerDependencies:',
+                '      react-dom: "*"',
+                'patchedDependencies:',
+                '  express@4.18.1: patches/express@4.18.1.patch',
+                'overrides: {foo: ^1.0.0}',
+                'allowedDeprecatedVersions:',
+                '  - name: request',
+                '    version: "*"',
+                'publicHoistPattern: >-',
+                '  *eslint*',
+                'catalog:',
+                '  react: ^18.2.0',
+                '',
+            ].join('\n'),
+            'packages/a/package.json': { name: 'a', version: '1.0.0' },
+        });
+
+        const workspace = await findWorkspace(path.join(base, 'packages/a'));
+
+        assert.deepStrictEqual(workspace?.pnpmConfig, { packages: ['packages/*'], catalog: { react: '^18.2.0' } });
+        assert.deepStrictEqual(workspace.packages, new Map([['a', '1.0.0']]));
+    });
+
+    test('reports malformed pnpm-workspace.yaml', async () => {
+        const base = await createTree('malformed', { 'pnpm-workspace.yaml': 'packages: {a: b}' });
+
+        await assert.rejects(findWorkspace(base), {
+            message: `could not parse ${path.join(base, 'pnpm-workspace.yaml')}: flow mappings are not supported (line 1)`,
+        });
+    });
+});
+
+describe('resolveDependencyRanges', () => {
+    test('resolves all range forms', async () => {
+        const base = await createTree('ranges', {
+            'pnpm-workspace.yaml': 'packages:\n  - packages/*\n',
+            'packages/a/package.json': { name: 'a', version: '1.2.3' },
+            'packages/b/package.json': { name: 'b', version: '0.1.0' },
+            'packages/c/package.json': { name: 'c', version: '3.0.0' },
+            'packages/d/package.json': { name: 'd', version: '1.5.0' },
+        });
+        const pkg = {
+            dependencies: {
+                a: 'workspace:*',
+                b: 'workspace:^',
+                c: 'workspace:~',
+                d: 'workspace:^1.0.0',
+                e: 'workspace:a@*',
+                f: 'workspace:../b',
+                g: '^4.0.0',
+            },
+            peerDependencies: { a: 'workspace:^' },
+            optionalDependencies: { c: 'workspace:*' },
+            devDependencies: { b: 'workspace:*' },
+        };
+
+        await resolveDependencyRanges(pkg, path.join(base, 'packages/c'));
+
+        assert.deepStrictEqual(pkg, {
+            dependencies: { a: '1.2.3', b: '^0.1.0', c: '~3.0.0', d: '^1.0.0', e: 'npm:a@1.2.3', f: '0.1.0', g: '^4.0.0' },
+            peerDependencies: { a: '^1.2.3' },
+            optionalDependencies: { c: '3.0.0' },
+            devDependencies: { b: 'workspace:*' },
+        });
+    });
+
+    test('fails for unknown packages', async () => {
+        const base = await createTree('unknown', {
+            'pnpm-workspace.yaml': 'packages:\n  - packages/*\n',
+            'packages/a/package.json': { name: 'a', version: '1.0.0' },
+        });
+
+        await assert.rejects(resolveDependencyRanges({ dependencies: { missing: 'workspace:*' } }, path.join(base, 'packages/a')), {
+            message: 'cannot resolve missing@workspace:* in dependencies: package missing is not in the workspace',
+        });
+    });
+
+    test('fails without a workspace', async () => {
+        const base = await createTree('standalone', { 'package.json': { name: 'a', version: '1.0.0' } });
+
+        await assert.rejects(resolveDependencyRanges({ peerDependencies: { b: 'workspace:^' } }, base), {
+            message: 'cannot resolve b@workspace:^ in peerDependencies: no workspace root found',
+        });
+    });
+
+    test('resolves catalog ranges', async () => {
+        const base = await createTree('catalogs', {
+            'pnpm-workspace.yaml': [
+                'packages:',
+                '  - packages/*',
+                'catalog:',
+                '  react: ^18.2.0',
+                "  '@types/react': ^18.0.0",
+                'catalogs:',
+                '  react17:',
+                '    react: ~17.0.2',
+                '',
+            ].join('\n'),
+            'packages/a/package.json': { name: 'a', version: '1.0.0' },
+        });
+        const pkg = {
+            dependencies: { react: 'catalog:', '@types/react': 'catalog:default' },
+            peerDependencies: { react: 'catalog:react17' },
+            devDependencies: { typescript: 'catalog:' },
+        };
+
+        await resolveDependencyRanges(pkg, path.join(base, 'packages/a'));
+
+        assert.deepStrictEqual(pkg, {
+            dependencies: { react: '^18.2.0', '@types/react': '^18.0.0' },
+            peerDependencies: { react: '~17.0.2' },
+            devDependencies: { typescript: 'catalog:' },
+        });
+    });
+
+    test('resolves the default catalog from catalogs', async () => {
+        const base = await createTree('default-catalog', { 'pnpm-workspace.yaml': 'catalogs:\n  default:\n    react: ^19.0.0\n' });
+        const pkg = { dependencies: { react: 'catalog:' } };
+
+        await resolveDependencyRanges(pkg, base);
+
+        assert.deepStrictEqual(pkg, { dependencies: { react: '^19.0.0' } });
+    });
+
+    test('fails for missing catalog entries', async () => {
+        const base = await createTree('missing-catalog', { 'pnpm-workspace.yaml': 'catalog:\n  react: ^18.2.0\n' });
+
+        await assert.rejects(resolveDependencyRanges({ dependencies: { vue: 'catalog:' } }, base), {
+            message: 'cannot resolve vue@catalog: in dependencies: vue is not in the default catalog',
+        });
+        await assert.rejects(resolveDependencyRanges({ optionalDependencies: { react: 'catalog:react17' } }, base), {
+            message: 'cannot resolve react@catalog:react17 in optionalDependencies: catalog react17 is not defined in pnpm-workspace.yaml',
+        });
+    });
+
+    test('fails for catalog ranges outside of pnpm workspaces', async () => {
+        const base = await createTree('npm-catalog', { 'package.json': { name: 'root', workspaces: ['packages/*'] } });
+
+        await assert.rejects(resolveDependencyRanges({ dependencies: { react: 'catalog:' } }, base), {
+            message: 'cannot resolve react@catalog: in dependencies: no pnpm-workspace.yaml found',
+        });
+    });
+
+    test('does not look for a workspace without workspace ranges', async () => {
+        const pkg = { dependencies: { a: '^1.0.0' } };
+        await resolveDependencyRanges(pkg, path.join(root, 'does-not-exist'));
+        assert.deepStrictEqual(pkg, { dependencies: { a: '^1.0.0' } });
+    });
+});
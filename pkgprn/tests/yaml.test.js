@@ -0,0 +1,75 @@
+import assert from 'node:assert';
+import test, { describe } from 'node:test';
+
+import { parseYaml } from '../src/yaml.js';
+
+describe('parseYaml', () => {
+    test('returns null for empty documents', () => {
+        assert.strictEqual(parseYaml(''), null);
+        assert.strictEqual(parseYaml('# comment only\n\n'), null);
+    });
+
+    test('parses pnpm-workspace.yaml', () => {
+        const text = [
+            'packages:',
+            '    - pkgprn',
+            "    - 'packages/*'",
+            '    - "!**/test/**" # excluded',
+            '',
+            'overrides:',
+            '    yargs: ^18.0.0',
+            'onlyBuiltDependencies:',
+            '    - "@biomejs/biome"',
+        ].join('\n');
+        assert.deepStrictEqual(parseYaml(text), {
+            packages: ['pkgprn', 'packages/*', '!**/test/**'],
+            overrides: { yargs: '^18.0.0' },
+            onlyBuiltDependencies: ['@biomejs/biome'],
+        });
+    });
+
+    test('parses nested mappings', () => {
+        const text = ['catalog:', '  react: ^18.2.0', "  '@types/node': 22", 'catalogs:', '  legacy:', '    react: ~17.0.2'].join('\r\n');
+        assert.deepStrictEqual(parseYaml(text), {
+            catalog: { react: '^18.2.0', '@types/node': '22' },
+            catalogs: { legacy: { react: '~17.0.2' } },
+        });
+    });
+
+    test('parses sequences at the indentation of their key', () => {
+        assert.deepStrictEqual(parseYaml('packages:\n- a\n- b\nother: c'), { packages: ['a', 'b'], other: 'c' });
+    });
+
+    test('parses flow sequences, quoted scalars and nulls', () => {
+        assert.deepStrictEqual(parseYaml("list: [a, \"b, c\", 'd']\nempty: []\nnone:\ntilde: ~\ntext: it's # comment\nhash: a#b"), {
+            list: ['a', 'b, c', 'd'],
+            empty: [],
+            none: null,
+            tilde: null,
+            text: "it's",
+            hash: 'a#b',
+        });
+    });
+
+    test('skips the values of other top-level keys', () => {
+        const text = [
+            'skipped: >-',
+            '  folded: text',
+            'list:',
+            '- name: a',
+            'packages:',
+            '- a',
+            'flow: {a: b}',
+            'catalog:',
+            '  react: ^18.2.0',
+        ].join('\n');
+        assert.deepStrictEqual(parseYaml(text, ['packages', 'catalog', 'missing']), { packages: ['a'], catalog: { react: '^18.2.0' } });
+    });
+
+    test('rejects unsupported syntax', () => {
+        assert.throws(() => parseYaml('packages:\n  - name: a'), { message: 'mappings in sequences are not supported (line 2)' });
+        assert.throws(() => parseYaml('a: {b: c}'), { message: 'flow mappings are not supported (line 1)' });
+        assert.throws(() => parseYaml('a:\n    b: c\n  d: e'), { message: 'unexpected indentation at line 3' });
+        assert.throws(() => parseYaml('just text'), { message: 'expected a mapping entry at line 1' });
+    });
+});